@@ -0,0 +1,179 @@
+import { EventEmitter } from 'events'
+import WebSocket from 'ws'
+
+// Upper bound for the WebSocket upgrade when no heartbeat interval is configured
+const HANDSHAKE_TIMEOUT_MS = 10000
+
+/**
+ * Owns the WebSocket to Meld: connects, probes liveness and reconnects with exponential backoff.
+ *
+ * States: idle -> connecting -> open -> (socket lost) -> waiting -> connecting ... ; stop() -> idle.
+ * Only the current socket may drive the state machine, so a late close/error from a replaced
+ * socket can never schedule a second reconnect or reach the module.
+ *
+ * Events:
+ *  - 'state' (state, detail)  every transition; detail carries url, attempt, delayMs or error
+ *  - 'open' (ws)              a fresh socket is ready for the WebChannel handshake
+ *  - 'close' ()               the current socket is gone (a reconnect may follow)
+ */
+export class MeldConnection extends EventEmitter {
+  constructor() {
+    super()
+    this.state = 'idle'
+    this.ws = null
+    this.options = null
+    this.attempt = 0
+    this.reconnectTimer = null
+    this.heartbeatTimer = null
+    this.awaitingPong = false
+    this.lastError = null
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.host
+   * @param {number} options.port
+   * @param {number} options.reconnectMinMs first retry delay
+   * @param {number} options.reconnectMaxMs ceiling for the doubling retry delay
+   * @param {number} options.heartbeatMs ping interval; a ping unanswered for this long drops the socket (0 disables).
+   *   Also bounds the WebSocket upgrade, so a Meld that accepts TCP but never answers is retried.
+   */
+  start(options) {
+    this.stop()
+    this.options = options
+    this.attempt = 0
+    this._open()
+  }
+
+  /** Cancel every timer and close the socket without scheduling a reconnect */
+  stop() {
+    this._clearReconnect()
+    this._stopHeartbeat()
+    this._dropSocket()
+    this._setState('idle')
+  }
+
+  /**
+   * The socket connected but is unusable (e.g. the WebChannel handshake failed): drop it and
+   * retry with backoff, reporting `error` as the reason. Ignored for a socket already replaced.
+   */
+  fail(ws, error) {
+    if (!ws || ws !== this.ws) return
+    this.lastError = error
+    ws.terminate()
+  }
+
+  get url() {
+    return this.options ? `ws://${this.options.host}:${this.options.port}` : ''
+  }
+
+  _setState(state, detail = {}) {
+    if (state === this.state && state === 'idle') return
+    this.state = state
+    this.emit('state', state, detail)
+  }
+
+  _open() {
+    this.attempt++
+    this._setState('connecting', { url: this.url, attempt: this.attempt })
+
+    let ws
+    try {
+      const { heartbeatMs } = this.options
+      ws = new WebSocket(this.url, { handshakeTimeout: heartbeatMs > 0 ? heartbeatMs : HANDSHAKE_TIMEOUT_MS })
+    } catch (err) {
+      this._setState('waiting', this._scheduleReconnect(err))
+      return
+    }
+    this.ws = ws
+
+    ws.on('open', () => {
+      if (ws !== this.ws) return
+      this.attempt = 0
+      this._setState('open', { url: this.url })
+      this._startHeartbeat()
+      this.emit('open', ws)
+    })
+
+    ws.on('pong', () => {
+      if (ws === this.ws) this.awaitingPong = false
+    })
+
+    ws.on('error', (err) => {
+      if (ws !== this.ws) return
+      this.lastError = err
+    })
+
+    ws.on('close', () => {
+      if (ws !== this.ws) return
+      const err = this.lastError
+      this.lastError = null
+      this.ws = null
+      this._stopHeartbeat()
+      this.emit('close')
+      this._setState('waiting', this._scheduleReconnect(err))
+    })
+  }
+
+  /** Detach from the current socket first, so its close event is ignored */
+  _dropSocket() {
+    const ws = this.ws
+    this.ws = null
+    this.lastError = null
+    if (!ws) return
+    ws.removeAllListeners('open')
+    // keep an error listener so a failing close cannot throw an unhandled 'error'
+    ws.on('error', () => {})
+    try {
+      ws.terminate()
+    } catch {}
+    this.emit('close')
+  }
+
+  _scheduleReconnect(error) {
+    this._clearReconnect()
+    const { reconnectMinMs, reconnectMaxMs } = this.options
+    const delayMs = Math.min(reconnectMaxMs, reconnectMinMs * 2 ** Math.max(0, this.attempt - 1))
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this._open()
+    }, delayMs)
+    return { url: this.url, attempt: this.attempt + 1, delayMs, error }
+  }
+
+  _clearReconnect() {
+    if (!this.reconnectTimer) return
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+  }
+
+  /** WebSocket ping/pong is answered by Meld's Qt event loop, so a frozen Meld stops answering */
+  _startHeartbeat() {
+    this._stopHeartbeat()
+    const interval = this.options.heartbeatMs
+    if (!(interval > 0)) return
+
+    this.awaitingPong = false
+    this.heartbeatTimer = setInterval(() => {
+      const ws = this.ws
+      if (!ws) return
+      if (this.awaitingPong) {
+        this.lastError = new Error(`No heartbeat reply within ${interval / 1000}s`)
+        // terminate() skips the closing handshake a hung peer would never answer; 'close' still fires
+        ws.terminate()
+        return
+      }
+      this.awaitingPong = true
+      try {
+        ws.ping()
+      } catch {}
+    }, interval)
+  }
+
+  _stopHeartbeat() {
+    if (!this.heartbeatTimer) return
+    clearInterval(this.heartbeatTimer)
+    this.heartbeatTimer = null
+    this.awaitingPong = false
+  }
+}
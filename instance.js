@@ -0,0 +1,2076 @@
+import { InstanceBase } from '@companion-module/base'
+import { MIN_GAIN_DB, MAX_GAIN_DB, dbToGain, gainToDb, formatDuration, uniqueSlug } from './util.js'
+import {
+  UpdateCaptureVariables,
+  UpdateConnectionVariables,
+  UpdateEffectVariables,
+  UpdateOutputVariables,
+  UpdatePlaylistVariables,
+  UpdateSceneVariables,
+  UpdateTrackVariables,
+  UpdateVariableDefinitions,
+  effectVariableId,
+} from './variables.js'
+import { MeldConnection } from './connection.js'
+import { WebChannelClient, describeRemoteObject } from './webchannel.js'
+import { SceneSequencer, parsePlaylist } from './sequencer.js'
+
+/** Parse a user-entered value as JSON where possible ("5", "true", "[1]"), else keep it as text */
+function parseLooseValue(text) {
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+/** Compare a property value with a user-entered one; numbers numerically, anything else as text */
+function compareValues(actual, op, expectedText) {
+  const expected = parseLooseValue(expectedText)
+  const text = (v) => (v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v))
+
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    switch (op) {
+      case 'eq': return actual === expected
+      case 'ne': return actual !== expected
+      case 'gt': return actual > expected
+      case 'gte': return actual >= expected
+      case 'lt': return actual < expected
+      case 'lte': return actual <= expected
+    }
+  }
+  switch (op) {
+    case 'eq': return text(actual) === text(expected)
+    case 'ne': return text(actual) !== text(expected)
+    case 'contains': return text(actual).includes(String(expectedText))
+    default: return false
+  }
+}
+
+/** The numeric entries of an effect's parameters, which are the ones we can set or nudge */
+function numericParameters(item) {
+  const params = {}
+  for (const [name, value] of Object.entries(item?.parameters ?? {})) {
+    if (typeof value === 'number' && Number.isFinite(value)) params[name] = value
+  }
+  return params
+}
+
+// Quiet period after the last structural session change before definitions are rebuilt
+const SESSION_SYNC_DEBOUNCE_MS = 250
+
+/**
+ * One-shot capture features. Dedicated methods are tried first; otherwise the command is sent
+ * through Meld's generic sendCommand().
+ */
+const CAPTURE_COMMANDS = {
+  screenshot: { label: 'Screenshot', methods: ['takeScreenshot', 'screenshot'], command: 'meld.screenshot' },
+  replay: { label: 'Replay clip', methods: ['saveReplay', 'recordClip'], command: 'meld.recordClip' },
+  marker: { label: 'Marker', methods: ['addMarker', 'recordMarker'], command: 'meld.recordMarker' },
+}
+
+// How long the capture feedback stays lit after a successful capture
+const CAPTURE_FLASH_MS = 1000
+
+// Number of playlist slots offered in the config
+const PLAYLIST_SLOTS = 4
+
+// Scenes remembered for "go back"
+const SCENE_HISTORY_LIMIT = 50
+
+// How long a single Meld method call may take before it is reported as failed
+const CALL_TIMEOUT_MS = 5000
+
+// Going live or finalising a recording can take well past a call timeout before Meld reports it
+const OUTPUT_TRANSITION_MS = 60000
+
+const DEFAULT_CONFIG = {
+  host: '127.0.0.1',
+  port: 13376,
+  reconnect_min: 1,
+  reconnect_max: 30,
+  heartbeat: 5,
+  playlist_pause_on_manual: true,
+  clean_scene_names: true,
+  preset_include: '',
+  preset_exclude: '',
+  preset_grouping: 'none',
+  preset_separator: '/',
+  preset_prefixes: '',
+  preset_color: 0xffffff,
+  preset_bgcolor: 0x000000,
+  preset_active_color: 0xffffff,
+  preset_active_bgcolor: 0xcc0000,
+}
+
+const PRESET_GROUPINGS = ['none', 'separator', 'prefix']
+
+// Settings that need a new socket when they change; everything else is applied in place
+const CONNECTION_SETTINGS = ['host', 'port', 'reconnect_min', 'reconnect_max', 'heartbeat']
+
+/** Normalise the saved config, falling back to defaults for anything missing or invalid */
+function parseConfig(config) {
+  const num = (value, fallback, min) => {
+    const n = Number(value)
+    return Number.isFinite(n) && n >= min ? n : fallback
+  }
+  const reconnectMin = num(config?.reconnect_min, DEFAULT_CONFIG.reconnect_min, 0.1)
+  return {
+    host: config?.host || DEFAULT_CONFIG.host,
+    port: Number(config?.port) || DEFAULT_CONFIG.port,
+    reconnect_min: reconnectMin,
+    reconnect_max: Math.max(reconnectMin, num(config?.reconnect_max, DEFAULT_CONFIG.reconnect_max, 0.1)),
+    heartbeat: num(config?.heartbeat, DEFAULT_CONFIG.heartbeat, 0),
+    playlists: Array.from({ length: PLAYLIST_SLOTS }, (_, i) => String(config?.[`playlist_${i + 1}`] ?? '')),
+    playlist_pause_on_manual: config?.playlist_pause_on_manual ?? DEFAULT_CONFIG.playlist_pause_on_manual,
+    clean_scene_names: config?.clean_scene_names ?? DEFAULT_CONFIG.clean_scene_names,
+    preset_include: String(config?.preset_include ?? '').trim(),
+    preset_exclude: String(config?.preset_exclude ?? '').trim(),
+    preset_grouping: PRESET_GROUPINGS.includes(config?.preset_grouping)
+      ? config.preset_grouping
+      : DEFAULT_CONFIG.preset_grouping,
+    preset_separator: String(config?.preset_separator ?? '') || DEFAULT_CONFIG.preset_separator,
+    preset_prefixes: String(config?.preset_prefixes ?? '')
+      .split(',')
+      .map((prefix) => prefix.trim())
+      .filter(Boolean),
+    preset_color: num(config?.preset_color, DEFAULT_CONFIG.preset_color, 0),
+    preset_bgcolor: num(config?.preset_bgcolor, DEFAULT_CONFIG.preset_bgcolor, 0),
+    preset_active_color: num(config?.preset_active_color, DEFAULT_CONFIG.preset_active_color, 0),
+    preset_active_bgcolor: num(config?.preset_active_bgcolor, DEFAULT_CONFIG.preset_active_bgcolor, 0),
+  }
+}
+
+export class MeldStudioInstance extends InstanceBase {
+  constructor(internal) {
+    super(internal)
+    this.ws = null
+    this.connection = new MeldConnection()
+    this.channel = null
+    this.qweb = null
+
+    this.scenes = {}
+    this.sceneOrder = [] // scene ids in Meld's order; object keys would put integer-like ids first
+    this.sceneSource = [] // scenes as Meld last reported them, before name cleaning
+    this.layers = {}
+    this.tracks = {}
+    this.effects = {}
+    this.itemIndex = {} // id -> { type, name, parent, index } as of the last full refresh
+    this.pendingTargets = new Map() // 'layer:<id>' etc. -> { state, at, settleMs } while a toggle is in flight
+    this.sessionSyncTimer = null
+    this.currentSceneId = null
+    this.previousSceneId = null
+    this.sceneFilters = { include: null, exclude: null } // compiled preset filters
+    this.sceneHistory = [] // earlier live scenes, most recent last
+    this.returningToSceneId = null // set while "go back" waits for its sceneChanged
+    this.previewSceneId = null // staged by preview_scene, sent live by take
+    this.playlists = []
+    this.sequencer = new SceneSequencer({
+      resolveScene: (ref) => this._resolveScene({ scene: ref })?.id ?? null,
+      showScene: (id) => this._showScene(id),
+      onChange: () => {
+        this.checkFeedbacks('playlist_running')
+        UpdatePlaylistVariables(this)
+      },
+      log: (level, message) => this.log(level, message),
+    })
+    this.connectionState = 'disconnected'
+
+    // Output state, mirrored from Meld's isStreaming/isRecording properties
+    this.isStreaming = false
+    this.isRecording = false
+    this.streamStartedAt = null
+    this.recordStartedAt = null
+    this.durationTimer = null
+
+    // Last successful capture per kind: { at: Date, recordOffset: 'HH:MM:SS' | null }
+    this.lastCapture = {}
+    this.captureFlash = {} // kind -> timer while the feedback is lit
+
+    this.config = parseConfig(DEFAULT_CONFIG)
+  }
+
+  // Required in Companion v4
+  getConfigFields() {
+    return [
+      { type: 'textinput', id: 'host', label: 'Host/IP', width: 6, default: '127.0.0.1' },
+      { type: 'number', id: 'port', label: 'Port', width: 6, min: 1, max: 65535, default: 13376 },
+      {
+        type: 'number',
+        id: 'reconnect_min',
+        label: 'First retry delay (s)',
+        width: 4,
+        min: 0.1,
+        max: 600,
+        default: DEFAULT_CONFIG.reconnect_min,
+        tooltip: 'Doubles after every failed attempt',
+      },
+      {
+        type: 'number',
+        id: 'reconnect_max',
+        label: 'Longest retry delay (s)',
+        width: 4,
+        min: 0.1,
+        max: 600,
+        default: DEFAULT_CONFIG.reconnect_max,
+      },
+      {
+        type: 'number',
+        id: 'heartbeat',
+        label: 'Heartbeat interval (s)',
+        width: 4,
+        min: 0,
+        max: 300,
+        default: DEFAULT_CONFIG.heartbeat,
+        tooltip: 'Reconnect if Meld does not answer a ping within this time; 0 disables',
+      },
+      {
+        type: 'static-text',
+        id: 'playlists_info',
+        label: 'Playlists',
+        width: 12,
+        value: 'One playlist per line, as "Name: Scene=seconds, Scene=seconds". Scenes are matched by name.',
+      },
+      ...Array.from({ length: PLAYLIST_SLOTS }, (_, i) => ({
+        type: 'textinput',
+        id: `playlist_${i + 1}`,
+        label: `Playlist ${i + 1}`,
+        width: 12,
+        default: '',
+      })),
+      {
+        type: 'checkbox',
+        id: 'playlist_pause_on_manual',
+        label: 'Pause a running playlist when the scene is changed by hand',
+        width: 12,
+        default: DEFAULT_CONFIG.playlist_pause_on_manual,
+      },
+      {
+        type: 'static-text',
+        id: 'presets_info',
+        label: 'Presets',
+        width: 12,
+        value:
+          'Which scenes get presets, how they are grouped, and how the buttons look. ' +
+          'Filters are case-insensitive regular expressions.',
+      },
+      {
+        type: 'checkbox',
+        id: 'clean_scene_names',
+        label: 'Strip a trailing "(...)" from scene names',
+        width: 12,
+        default: DEFAULT_CONFIG.clean_scene_names,
+      },
+      {
+        type: 'textinput',
+        id: 'preset_include',
+        label: 'Only scenes matching',
+        width: 6,
+        default: '',
+        tooltip: 'e.g. ^Cam; leave empty for all scenes',
+      },
+      {
+        type: 'textinput',
+        id: 'preset_exclude',
+        label: 'Skip scenes matching',
+        width: 6,
+        default: '',
+        tooltip: 'e.g. ^_|test',
+      },
+      {
+        type: 'dropdown',
+        id: 'preset_grouping',
+        label: 'Group scene presets',
+        width: 4,
+        default: DEFAULT_CONFIG.preset_grouping,
+        choices: [
+          { id: 'none', label: 'No grouping' },
+          { id: 'separator', label: 'By text before a separator' },
+          { id: 'prefix', label: 'By listed name prefixes' },
+        ],
+      },
+      {
+        type: 'textinput',
+        id: 'preset_separator',
+        label: 'Separator',
+        width: 4,
+        default: DEFAULT_CONFIG.preset_separator,
+        tooltip: '"Cam/Wide" goes into "Scenes: Cam" as "Wide"',
+        isVisible: (options) => options.preset_grouping === 'separator',
+      },
+      {
+        type: 'textinput',
+        id: 'preset_prefixes',
+        label: 'Prefixes (comma separated)',
+        width: 8,
+        default: '',
+        tooltip: 'e.g. Cam, Game, BRB; scenes starting with a prefix are grouped under it',
+        isVisible: (options) => options.preset_grouping === 'prefix',
+      },
+      { type: 'colorpicker', id: 'preset_color', label: 'Text', width: 3, default: DEFAULT_CONFIG.preset_color },
+      {
+        type: 'colorpicker',
+        id: 'preset_bgcolor',
+        label: 'Background',
+        width: 3,
+        default: DEFAULT_CONFIG.preset_bgcolor,
+      },
+      {
+        type: 'colorpicker',
+        id: 'preset_active_color',
+        label: 'Active scene text',
+        width: 3,
+        default: DEFAULT_CONFIG.preset_active_color,
+      },
+      {
+        type: 'colorpicker',
+        id: 'preset_active_bgcolor',
+        label: 'Active scene background',
+        width: 3,
+        default: DEFAULT_CONFIG.preset_active_bgcolor,
+      },
+    ]
+  }
+
+  async init(config) {
+    this.config = parseConfig(config)
+    this._loadPlaylists()
+    this._loadSceneFilters()
+    this.connection.on('state', (state, detail) => this._onConnectionState(state, detail))
+    this.connection.on('open', (ws) => this._onSocketOpen(ws))
+    this.connection.on('close', () => this._onSocketClose())
+    this._setStatus('connecting')
+
+    this._defineFeedbacks()
+    this._defineActions()
+    this._definePresets() // initially empty; filled once scenes load
+    UpdateVariableDefinitions(this)
+
+    this._connect()
+  }
+
+  async configUpdated(config) {
+    const previous = this.config
+    this.config = parseConfig(config)
+    this._loadPlaylists()
+    this._loadSceneFilters()
+    this.log('debug', `Config updated: ${this.config.host}:${this.config.port}`)
+
+    if (CONNECTION_SETTINGS.some((key) => previous[key] !== this.config[key])) {
+      this._defineActions()
+      this._defineFeedbacks()
+      this._definePresets()
+      UpdateVariableDefinitions(this)
+      UpdateConnectionVariables(this)
+      this._connect()
+      return
+    }
+    // Name cleaning and preset settings only need the scenes we already have rebuilt; this also
+    // redefines actions, feedbacks, presets and variables
+    this._ingestScenes(this.sceneSource.map((scene) => ({ ...scene, current: scene.id === this.currentSceneId })))
+  }
+
+  async destroy() {
+    this.connection.removeAllListeners()
+    this.connection.stop()
+    this.ws = null
+    this.qweb = null
+    this._stopDurationTimer()
+    this._cancelSessionSync()
+    this.sequencer.stop()
+    for (const timer of Object.values(this.captureFlash)) clearTimeout(timer)
+    this.captureFlash = {}
+  }
+
+  /** Parse the playlist config slots, logging (and skipping) any that are malformed */
+  _loadPlaylists() {
+    this.playlists = []
+    for (const text of this.config.playlists) {
+      try {
+        const playlist = parsePlaylist(text)
+        if (playlist) this.playlists.push(playlist)
+      } catch (err) {
+        this.log('warn', err.message)
+      }
+    }
+
+    // A running playlist keeps going with its new definition, or stops if it was removed
+    const active = this.sequencer.playlist
+    if (active && this.sequencer.state !== 'stopped') {
+      const updated = this.playlists.find((p) => p.name === active.name)
+      if (updated) this.sequencer.update(updated)
+      else this.sequencer.stop()
+    }
+  }
+
+  /** Compile the preset scene filters; an invalid pattern is logged and ignored */
+  _loadSceneFilters() {
+    const compile = (pattern, which) => {
+      if (!pattern) return null
+      try {
+        return new RegExp(pattern, 'i')
+      } catch (err) {
+        this.log('warn', `Preset ${which} filter ignored: ${err.message}`)
+        return null
+      }
+    }
+    this.sceneFilters = {
+      include: compile(this.config.preset_include, 'include'),
+      exclude: compile(this.config.preset_exclude, 'exclude'),
+    }
+  }
+
+  /** updateStatus(), also mirrored into the connection_state variable */
+  _setStatus(status, message) {
+    this.connectionState = status
+    this.updateStatus(status, message)
+    UpdateConnectionVariables(this)
+  }
+
+  _connect() {
+    this.connection.start({
+      host: this.config.host,
+      port: this.config.port,
+      reconnectMinMs: this.config.reconnect_min * 1000,
+      reconnectMaxMs: this.config.reconnect_max * 1000,
+      heartbeatMs: this.config.heartbeat * 1000,
+    })
+  }
+
+  /** Translate connection manager transitions into Companion status */
+  _onConnectionState(state, detail) {
+    switch (state) {
+      case 'connecting':
+        this.log('info', `Connecting to Meld Studio: ${detail.url} (attempt ${detail.attempt})`)
+        this._setStatus('connecting', detail.attempt > 1 ? `Attempt ${detail.attempt}` : undefined)
+        break
+      case 'open':
+        // 'ok' is only reported once the WebChannel handshake completes
+        break
+      case 'waiting': {
+        const seconds = Math.round(detail.delayMs / 100) / 10
+        const reason = detail.error?.message ? `${detail.error.message}; ` : ''
+        const message = `${reason}retrying in ${seconds}s, attempt ${detail.attempt}`
+        this.log('debug', `Meld connection lost: ${message}`)
+        this._setStatus(detail.error ? 'connection_failure' : 'disconnected', message)
+        break
+      }
+      case 'idle':
+        this._setStatus('disconnected')
+        break
+    }
+  }
+
+  async _onSocketOpen(ws) {
+    this.ws = ws
+    const channel = new WebChannelClient(ws, {
+      timeoutMs: CALL_TIMEOUT_MS,
+      onHandlerError: (err, where) => this.log('error', `Error handling ${where}: ${err.message}`),
+      onPropertyUpdate: () => this.checkFeedbacks('property_compare'),
+    })
+    this.channel = channel
+
+    try {
+      await channel.ready
+    } catch (err) {
+      if (channel !== this.channel) return
+      this.log('error', `WebChannel handshake failed: ${err.message}`)
+      this.connection.fail(ws, new Error(`WebChannel handshake failed: ${err.message}`))
+      return
+    }
+
+    // The socket may have been replaced while the handshake was in flight
+    if (channel !== this.channel) return
+    if (!channel.objects.meld) {
+      this.log('error', 'Meld did not publish a "meld" object')
+      this.connection.fail(ws, new Error('Meld did not publish a "meld" object'))
+      return
+    }
+    this.qweb = channel.objects.meld
+    this._setStatus('ok')
+
+    if (this.qweb.sceneChanged?.connect) {
+      this.qweb.sceneChanged.connect((id) => this._setCurrentScene(id))
+    }
+
+    // session is a notifying property; its signal fires whenever any item changes
+    if (this.qweb.sessionChanged?.connect) {
+      this.qweb.sessionChanged.connect(() => this._syncSessionState())
+    }
+
+    if (this.qweb.isStreamingChanged?.connect) {
+      this.qweb.isStreamingChanged.connect(() => this._syncOutputState())
+    }
+    if (this.qweb.isRecordingChanged?.connect) {
+      this.qweb.isRecordingChanged.connect(() => this._syncOutputState())
+    }
+
+    this._syncOutputState()
+    this._refreshScenes()
+  }
+
+  _onSocketClose() {
+    // Rejects in-flight calls and drops every signal handler of the old channel
+    this.channel?.close()
+    this.channel = null
+    this.ws = null
+    this.qweb = null
+    this._cancelSessionSync()
+    this.pendingTargets.clear()
+    this._resetOutputState()
+  }
+
+  /** Meld is gone, so nothing is known to be live: clear the feedbacks and stop the clocks */
+  _resetOutputState() {
+    const wasLive = this.isStreaming || this.isRecording
+    this.isStreaming = false
+    this.isRecording = false
+    this.streamStartedAt = null
+    this.recordStartedAt = null
+    this._stopDurationTimer()
+    if (!wasLive) return
+    this.checkFeedbacks('streaming', 'recording')
+    UpdateOutputVariables(this)
+  }
+
+  _refreshScenes() {
+    this._cancelSessionSync()
+    if (!this.qweb) return
+
+    this.itemIndex = this._indexItems(this.qweb.session?.items)
+
+    // Layers, audio tracks and effects only exist in the session item model
+    this._ingestLayers(this.qweb.session?.items)
+    this._ingestTracks(this.qweb.session?.items)
+    this._ingestEffects(this.qweb.session?.items)
+
+    if (typeof this.qweb.getScenes === 'function') {
+      const qweb = this.qweb
+      qweb
+        .getScenes()
+        .then((scenes) => {
+          if (qweb === this.qweb) this._ingestScenes(scenes)
+        })
+        .catch((err) => this.log('warn', `getScenes() failed: ${err.message}`))
+    } else if (this.qweb.session && this.qweb.session.items) {
+      const items = this.qweb.session.items
+      const scenes = Object.keys(items)
+        .filter((id) => items[id]?.type === 'scene')
+        .map((id) => ({ id, name: items[id]?.name || id, index: items[id]?.index, current: !!items[id]?.current }))
+      this._ingestScenes(scenes)
+    } else {
+      this.log('warn', 'Unable to discover scenes (no getScenes() or session.items).')
+      this._ingestScenes([]) // still rebuild definitions so the introspected API shows up
+    }
+  }
+
+  _ingestScenes(scenesArray) {
+    this.scenes = {}
+    this.sceneOrder = []
+    const used = new Set()
+    let liveId = null
+    // Keep Meld's scene order (its index) so next/previous and dropdowns follow it
+    const ordered = (scenesArray || [])
+      .map((scene, i) => ({ scene, i }))
+      .sort((a, b) => (Number(a.scene.index ?? a.i) - Number(b.scene.index ?? b.i)) || a.i - b.i)
+      .map(({ scene }) => scene)
+    this.sceneSource = ordered
+    for (const scene of ordered) {
+      const rawName = String(scene.name || scene.id)
+      const cleanName = this.config.clean_scene_names ? rawName.replace(/\s*\(.*?\)\s*$/, '') || rawName : rawName
+      this.scenes[scene.id] = { id: scene.id, name: cleanName, slug: uniqueSlug(cleanName, used) }
+      this.sceneOrder.push(scene.id)
+      if (scene.current) liveId = scene.id
+    }
+    if (liveId !== null) this._setCurrentScene(liveId)
+    if (this.previewSceneId && !this.scenes[this.previewSceneId]) this.previewSceneId = null
+
+    this._defineActions()
+    this._refreshFeedbackChoices()
+    this._definePresets() // regenerate presets now that we know scenes
+    UpdateVariableDefinitions(this)
+    this.checkFeedbacks('scene_active') // name-matched feedbacks may resolve differently now
+  }
+
+  /** Scenes in Meld's order */
+  _orderedScenes() {
+    return this.sceneOrder.map((id) => this.scenes[id])
+  }
+
+  _setCurrentScene(id) {
+    if (id !== this.currentSceneId) {
+      this.previousSceneId = this.currentSceneId
+      // Going back must not push the scene we are leaving, or back would bounce between two scenes
+      if (this.currentSceneId !== null && id !== this.returningToSceneId) {
+        this.sceneHistory.push(this.currentSceneId)
+        if (this.sceneHistory.length > SCENE_HISTORY_LIMIT) this.sceneHistory.shift()
+      }
+      this.returningToSceneId = null
+      this.currentSceneId = id
+
+      if (this.sequencer.noteSceneChange(id) && this.config.playlist_pause_on_manual) {
+        this.log('info', `Playlist "${this.sequencer.playlist.name}" paused: scene changed by hand`)
+        this.sequencer.pause()
+      }
+    }
+    this.checkFeedbacks('scene_active')
+    UpdateSceneVariables(this)
+  }
+
+  /** Scene next to the live one in Meld's order; null at either end unless wrapping */
+  _adjacentScene(step, wrap) {
+    const order = this.sceneOrder
+    if (order.length === 0) return null
+    const at = order.indexOf(this.currentSceneId)
+    if (at === -1) return this.scenes[order[step > 0 ? 0 : order.length - 1]]
+
+    let next = at + step
+    if (next < 0 || next >= order.length) {
+      if (!wrap) return null
+      next = (next + order.length) % order.length
+    }
+    return this.scenes[order[next]]
+  }
+
+  async _goBack() {
+    // Skip scenes that have since been deleted
+    while (this.sceneHistory.length) {
+      const id = this.sceneHistory.pop()
+      if (!this.scenes[id] || id === this.currentSceneId) continue
+      const returning = this.returningToSceneId
+      this.returningToSceneId = id
+      try {
+        await this._showScene(id)
+      } catch (err) {
+        // Nothing changed in Meld, so keep the entry for the next attempt
+        this.sceneHistory.push(id)
+        this.returningToSceneId = returning
+        throw err
+      }
+      return
+    }
+    this.log('debug', 'Go back: no earlier scene in history')
+  }
+
+  _setPreviewScene(id) {
+    this.previewSceneId = id
+    this.checkFeedbacks('scene_preview')
+    UpdateSceneVariables(this)
+  }
+
+  _ingestLayers(items) {
+    this.layers = {}
+    if (!items) return
+    for (const id of Object.keys(items)) {
+      const item = items[id]
+      if (item?.type !== 'layer') continue
+      this.layers[id] = {
+        id,
+        name: String(item.name || id),
+        sceneId: item.parent,
+        visible: !!item.visible,
+      }
+    }
+  }
+
+  _ingestTracks(items) {
+    this.tracks = {}
+    if (!items) return
+
+    const used = new Set()
+    for (const id of Object.keys(items)) {
+      const item = items[id]
+      if (item?.type !== 'track') continue
+
+      const name = String(item.name || id)
+      this.tracks[id] = {
+        id,
+        name,
+        slug: uniqueSlug(name, used),
+        muted: !!item.muted,
+        monitoring: !!item.monitoring,
+        gain: Number(item.gain ?? 1),
+      }
+    }
+  }
+
+  /** Structural view of session items: only what affects definitions, not live state */
+  _indexItems(items) {
+    const index = {}
+    for (const id of Object.keys(items || {})) {
+      const item = items[id]
+      if (!item?.type) continue
+      index[id] = {
+        type: item.type,
+        name: String(item.name ?? ''),
+        parent: item.parent ?? null,
+        index: item.type === 'scene' ? (item.index ?? null) : null, // scene order drives next/previous
+        params: Object.keys(numericParameters(item)).join(','),
+      }
+    }
+    return index
+  }
+
+  /** Compare session items against the cached index; returns the ids added, removed and changed */
+  _diffSession(items) {
+    const next = this._indexItems(items)
+    const added = []
+    const removed = []
+    const changed = []
+
+    for (const id in next) {
+      const prev = this.itemIndex[id]
+      if (!prev) added.push(id)
+      else if (['type', 'name', 'parent', 'index', 'params'].some((key) => prev[key] !== next[id][key])) changed.push(id)
+    }
+    for (const id in this.itemIndex) {
+      if (!next[id]) removed.push(id)
+    }
+    return { added, removed, changed }
+  }
+
+  /** Rebuild definitions once the session has been quiet for a moment, so a burst of edits costs one refresh */
+  _scheduleSessionSync() {
+    this._cancelSessionSync()
+    this.sessionSyncTimer = setTimeout(() => {
+      this.sessionSyncTimer = null
+      this._refreshScenes()
+    }, SESSION_SYNC_DEBOUNCE_MS)
+  }
+
+  _cancelSessionSync() {
+    if (!this.sessionSyncTimer) return
+    clearTimeout(this.sessionSyncTimer)
+    this.sessionSyncTimer = null
+  }
+
+  /** Effects hang off a layer or an audio track; remember which, and the layer's scene */
+  _ingestEffects(items) {
+    this.effects = {}
+    if (!items) return
+
+    const used = new Set()
+    for (const id of Object.keys(items)) {
+      const item = items[id]
+      if (item?.type !== 'effect') continue
+
+      const parent = items[item.parent]
+      const parentName = String(parent?.name || item.parent || '?')
+      const name = String(item.name || id)
+      this.effects[id] = {
+        id,
+        name,
+        parentId: item.parent,
+        parentType: parent?.type,
+        parentName,
+        sceneId: parent?.type === 'layer' ? parent.parent : null,
+        slug: uniqueSlug(`${parentName} ${name}`, used),
+        enabled: !!item.enabled,
+        params: numericParameters(item),
+      }
+    }
+  }
+
+  /** Pick up changes pushed through the session property */
+  _syncSessionState() {
+    const items = this.qweb?.session?.items
+    if (!items) return
+
+    const { added, removed, changed } = this._diffSession(items)
+    if (added.length || removed.length || changed.length) {
+      this.log('debug', `Session changed: ${added.length} added, ${removed.length} removed, ${changed.length} changed`)
+      // Keep the index current so a burst of signals is not reported twice
+      this.itemIndex = this._indexItems(items)
+      this._scheduleSessionSync()
+    }
+
+    let layersChanged = false
+    for (const id in this.layers) {
+      const visible = !!items[id]?.visible
+      this._settlePending(`layer:${id}`, visible)
+      if (this.layers[id].visible !== visible) {
+        this.layers[id].visible = visible
+        layersChanged = true
+      }
+    }
+    if (layersChanged) this.checkFeedbacks('layer_visible')
+
+    let tracksChanged = false
+    for (const id in this.tracks) {
+      const track = this.tracks[id]
+      const item = items[id]
+      if (!item) continue
+      const muted = !!item.muted
+      const monitoring = !!item.monitoring
+      this._settlePending(`mute:${id}`, muted)
+      const gain = Number(item.gain ?? track.gain)
+      if (track.muted !== muted || track.monitoring !== monitoring || track.gain !== gain) {
+        Object.assign(track, { muted, monitoring, gain })
+        tracksChanged = true
+      }
+    }
+    if (tracksChanged) {
+      this.checkFeedbacks('track_muted', 'track_monitoring')
+      UpdateTrackVariables(this)
+    }
+
+    let effectsChanged = false
+    for (const id in this.effects) {
+      const effect = this.effects[id]
+      const item = items[id]
+      if (!item) continue
+      const enabled = !!item.enabled
+      this._settlePending(`effect:${id}`, enabled)
+      const params = { ...effect.params, ...numericParameters(item) }
+      if (effect.enabled !== enabled || Object.keys(params).some((k) => params[k] !== effect.params[k])) {
+        Object.assign(effect, { enabled, params })
+        effectsChanged = true
+      }
+    }
+    if (effectsChanged) {
+      this.checkFeedbacks('effect_enabled')
+      UpdateEffectVariables(this)
+    }
+  }
+
+  /** Layers ordered by parent scene, labelled "Scene / Layer" so the dropdown reads grouped */
+  _layerChoices() {
+    const { sceneOrder } = this
+    const rank = (layer) => {
+      const i = sceneOrder.indexOf(layer.sceneId)
+      return i === -1 ? sceneOrder.length : i
+    }
+
+    return Object.values(this.layers)
+      .map((layer, i) => ({ layer, i }))
+      .sort((a, b) => rank(a.layer) - rank(b.layer) || a.i - b.i)
+      .map(({ layer }) => {
+        const sceneName = this.scenes[layer.sceneId]?.name || layer.sceneId || '?'
+        return { id: layer.id, label: `${sceneName} / ${layer.name}` }
+      })
+  }
+
+  /**
+   * Call the first of `methods` that Meld exposes. Rejects when not connected, when none of the
+   * methods exist, or when the call itself fails, so action callbacks surface the error to Companion.
+   */
+  async _call(methods, ...args) {
+    if (!this.qweb) throw new Error('Not connected to Meld Studio')
+    const names = [].concat(methods)
+    const name = names.find((n) => typeof this.qweb[n] === 'function')
+    if (!name) throw new Error(`Meld does not expose ${names.map((n) => `${n}()`).join(' or ')}`)
+    return this.qweb[name](...args)
+  }
+
+  /** Effects ordered and labelled by what they are attached to ("Scene / Layer / Effect" or "Track / Effect") */
+  _effectChoices() {
+    const { sceneOrder } = this
+    const rank = (effect) => {
+      if (effect.parentType !== 'layer') return sceneOrder.length + 1 // track effects after layer effects
+      const i = sceneOrder.indexOf(effect.sceneId)
+      return i === -1 ? sceneOrder.length : i
+    }
+
+    return Object.values(this.effects)
+      .map((effect, i) => ({ effect, i }))
+      .sort((a, b) => rank(a.effect) - rank(b.effect) || a.i - b.i)
+      .map(({ effect }) => ({ id: effect.id, label: this._effectLabel(effect) }))
+  }
+
+  _effectLabel(effect) {
+    if (effect.parentType === 'layer') {
+      const sceneName = this.scenes[effect.sceneId]?.name || effect.sceneId || '?'
+      return `${sceneName} / ${effect.parentName} / ${effect.name}`
+    }
+    return `${effect.parentName} / ${effect.name}`
+  }
+
+  /** One choice per numeric effect parameter, id "effectId::param" */
+  _effectParamChoices() {
+    const choices = []
+    for (const { id, label } of this._effectChoices()) {
+      for (const param of Object.keys(this.effects[id].params)) {
+        choices.push({ id: `${id}::${param}`, label: `${label}: ${param}` })
+      }
+    }
+    return choices
+  }
+
+  /** Resolve an "effectId::param" option; throws for a deleted effect or a parameter it no longer has */
+  _getEffectParam(value) {
+    const text = String(value ?? '')
+    const at = text.lastIndexOf('::')
+    const effect = at === -1 ? null : this.effects[text.slice(0, at)]
+    const param = text.slice(at + 2)
+    if (!effect || !Object.hasOwn(effect.params, param)) throw new Error(`Effect parameter "${text}" not found`)
+    return { effect, param }
+  }
+
+  _getEffect(id) {
+    const effect = this.effects[id]
+    if (!effect) throw new Error(`Effect "${id}" not found`)
+    return effect
+  }
+
+  async _toggleEffect(id) {
+    const effect = this._getEffect(id)
+    // Meld addresses an effect through its scene and parent; track effects have no scene
+    await this._call('toggleEffect', effect.sceneId ?? '', effect.parentId, effect.id)
+  }
+
+  async _setEffectEnabled(id, enabled) {
+    const effect = this._getEffect(id)
+    await this._toggleTowards(`effect:${id}`, effect.enabled, enabled, () => this._toggleEffect(id))
+  }
+
+  async _setEffectParam(effect, param, value) {
+    const previous = effect.params[param]
+    // Cache first so quick nudges build on each other, as with track gain
+    effect.params[param] = value
+    UpdateEffectVariables(this)
+    try {
+      await this._call('setEffectParameter', effect.id, param, value)
+    } catch (err) {
+      if (effect.params[param] === value) effect.params[param] = previous
+      UpdateEffectVariables(this)
+      throw err
+    }
+  }
+
+  /** Every method or property the connected channel publishes, as "object.member" dropdown choices */
+  _apiChoices(kind) {
+    const choices = []
+    for (const [objectName, object] of Object.entries(this.channel?.objects ?? {})) {
+      for (const member of describeRemoteObject(object)[kind]) {
+        const label = kind === 'methods' ? `${objectName}.${member}()` : `${objectName}.${member}`
+        choices.push({ id: `${objectName}.${member}`, label })
+      }
+    }
+    return choices.sort((a, b) => a.label.localeCompare(b.label))
+  }
+
+  /** Split an "object.member" option; a bare name is taken to live on the meld object */
+  _splitApiTarget(target) {
+    const text = String(target ?? '').trim()
+    const dot = text.indexOf('.')
+    return dot === -1 ? { object: 'meld', member: text } : { object: text.slice(0, dot), member: text.slice(dot + 1) }
+  }
+
+  _readApiProperty(target) {
+    const { object, member } = this._splitApiTarget(target)
+    const remote = this.channel?.objects?.[object]
+    if (!remote || !describeRemoteObject(remote).properties.includes(member)) return undefined
+    return remote[member]
+  }
+
+  /**
+   * Drive a toggle-only control towards `state`. The target is kept until Meld reports it (or the
+   * call fails, the socket closes, or `settleMs` passes), so an overlapping press sees where the
+   * control is heading instead of the stale cached state and does not toggle it back.
+   */
+  async _toggleTowards(key, current, state, toggle, settleMs = CALL_TIMEOUT_MS) {
+    const pending = this.pendingTargets.get(key)
+    const heading = pending && Date.now() - pending.at < pending.settleMs ? pending.state : current
+    if (heading === state) return
+
+    const target = { state, at: Date.now(), settleMs }
+    this.pendingTargets.set(key, target)
+    try {
+      await toggle()
+    } catch (err) {
+      if (this.pendingTargets.get(key) === target) this.pendingTargets.delete(key)
+      throw err
+    }
+  }
+
+  /** Meld reported `state` for a control; drop its pending target once reached */
+  _settlePending(key, state) {
+    if (this.pendingTargets.get(key)?.state === state) this.pendingTargets.delete(key)
+  }
+
+  _getLayer(id) {
+    const layer = this.layers[id]
+    if (!layer) throw new Error(`Layer "${id}" not found`)
+    return layer
+  }
+
+  async _toggleLayer(id) {
+    const layer = this._getLayer(id)
+    await this._call('toggleLayer', layer.sceneId, layer.id)
+  }
+
+  /** Meld only offers a toggle, so show/hide toggle when the layer is not already heading there */
+  async _setLayerVisible(id, visible) {
+    const layer = this._getLayer(id)
+    await this._toggleTowards(`layer:${id}`, layer.visible, visible, () => this._toggleLayer(id))
+  }
+
+  _trackChoices() {
+    return Object.values(this.tracks).map((t) => ({ id: t.id, label: t.name }))
+  }
+
+  _getTrack(id) {
+    const track = this.tracks[id]
+    if (!track) throw new Error(`Track "${id}" not found`)
+    return track
+  }
+
+  async _toggleMute(id) {
+    this._getTrack(id)
+    await this._call('toggleMute', id)
+  }
+
+  async _setMuted(id, muted) {
+    const track = this._getTrack(id)
+    await this._toggleTowards(`mute:${id}`, track.muted, muted, () => this._toggleMute(id))
+  }
+
+  async _toggleMonitor(id) {
+    this._getTrack(id)
+    await this._call('toggleMonitor', id)
+  }
+
+  async _setGainDb(id, db) {
+    const track = this._getTrack(id)
+
+    const gain = dbToGain(db)
+    const previous = track.gain
+    // Update the cache straight away so rapid nudges stack instead of reading a stale value
+    track.gain = gain
+    UpdateTrackVariables(this)
+    try {
+      await this._call('setGain', id, gain)
+    } catch (err) {
+      if (track.gain === gain) track.gain = previous
+      UpdateTrackVariables(this)
+      throw err
+    }
+  }
+
+  /** Mirror streaming/recording state and (re)start the elapsed-time clocks on transitions */
+  _syncOutputState() {
+    if (!this.qweb) return
+    const streaming = !!this.qweb.isStreaming
+    const recording = !!this.qweb.isRecording
+    const now = Date.now()
+    this._settlePending('stream', streaming)
+    this._settlePending('record', recording)
+
+    if (streaming !== this.isStreaming) {
+      this.isStreaming = streaming
+      this.streamStartedAt = streaming ? now : null
+      this.checkFeedbacks('streaming')
+    }
+    if (recording !== this.isRecording) {
+      this.isRecording = recording
+      this.recordStartedAt = recording ? now : null
+      this.checkFeedbacks('recording')
+    }
+
+    if (this.isStreaming || this.isRecording) this._startDurationTimer()
+    else this._stopDurationTimer()
+    UpdateOutputVariables(this)
+  }
+
+  _startDurationTimer() {
+    if (this.durationTimer) return
+    this.durationTimer = setInterval(() => UpdateOutputVariables(this), 1000)
+  }
+
+  _stopDurationTimer() {
+    if (!this.durationTimer) return
+    clearInterval(this.durationTimer)
+    this.durationTimer = null
+  }
+
+  async _toggleStream() {
+    await this._call(['toggleStream', 'toggleStreaming'])
+  }
+
+  async _toggleRecord() {
+    await this._call(['toggleRecord', 'toggleRecording'])
+  }
+
+  /** Trigger a capture; failures are logged with the kind of capture and rethrown to Companion */
+  async _capture(kind) {
+    const capture = CAPTURE_COMMANDS[kind]
+    try {
+      if (kind === 'marker' && !this.isRecording) throw new Error('Meld is not recording')
+      if (this.qweb && capture.methods.some((m) => typeof this.qweb[m] === 'function')) {
+        await this._call(capture.methods)
+      } else {
+        await this._call('sendCommand', capture.command)
+      }
+    } catch (err) {
+      this.log('error', `${capture.label} failed: ${err.message}`)
+      throw err
+    }
+
+    this.lastCapture[kind] = {
+      at: new Date(),
+      recordOffset: this.recordStartedAt ? formatDuration(Date.now() - this.recordStartedAt) : null,
+    }
+    UpdateCaptureVariables(this)
+
+    clearTimeout(this.captureFlash[kind])
+    this.captureFlash[kind] = setTimeout(() => {
+      delete this.captureFlash[kind]
+      this.checkFeedbacks('capture_flash')
+    }, CAPTURE_FLASH_MS)
+    this.checkFeedbacks('capture_flash')
+  }
+
+  async _showScene(id) {
+    await this._call(['showScene', 'switchScene'], id)
+  }
+
+  /**
+   * Scene picker shared by show_scene and scene_active. The name is a fallback so
+   * buttons keep working after a session rebuild hands the scene a new ID.
+   */
+  _sceneOptions() {
+    const sceneChoices = this._orderedScenes().map((s) => ({ id: s.id, label: s.name }))
+    return [
+      {
+        type: 'dropdown',
+        id: 'scene',
+        label: 'Scene',
+        choices: sceneChoices,
+        default: sceneChoices[0]?.id ?? '',
+        allowCustom: true,
+        tooltip: 'Pick a scene, or type a scene name',
+      },
+      {
+        type: 'textinput',
+        id: 'scene_name',
+        label: 'Match by name if the scene ID is gone (optional)',
+        default: '',
+      },
+    ]
+  }
+
+  /** Resolve scene options by ID first, then by name (case-insensitive) */
+  _resolveScene(options) {
+    const byId = this.scenes[options?.scene]
+    if (byId) return byId
+
+    for (const wanted of [options?.scene_name, options?.scene]) {
+      const name = String(wanted ?? '').trim().toLowerCase()
+      if (!name) continue
+      const match = Object.values(this.scenes).find((s) => s.name.toLowerCase() === name)
+      if (match) return match
+    }
+    return null
+  }
+
+  /** "Learn" fills in the name of the picked scene so it can be matched later */
+  _learnSceneName(entity) {
+    const scene = this._resolveScene(entity.options)
+    if (!scene) return undefined
+    return { ...entity.options, scene: scene.id, scene_name: scene.name }
+  }
+
+  _defineActions() {
+    const actions = {}
+
+    actions['show_scene'] = {
+      name: 'Show Scene',
+      options: this._sceneOptions(),
+      learn: (action) => this._learnSceneName(action),
+      callback: async (action) => {
+        const scene = this._resolveScene(action.options)
+        if (!scene) throw new Error(`No scene matches "${action.options.scene_name || action.options.scene}"`)
+        await this._showScene(scene.id)
+      },
+    }
+
+    const wrapOption = { type: 'checkbox', id: 'wrap', label: 'Wrap around at the ends', default: true }
+
+    actions['next_scene'] = {
+      name: 'Next Scene',
+      options: [wrapOption],
+      callback: async (action) => {
+        const scene = this._adjacentScene(1, action.options.wrap)
+        if (scene) await this._showScene(scene.id)
+      },
+    }
+
+    actions['previous_scene'] = {
+      name: 'Previous Scene',
+      options: [wrapOption],
+      callback: async (action) => {
+        const scene = this._adjacentScene(-1, action.options.wrap)
+        if (scene) await this._showScene(scene.id)
+      },
+    }
+
+    actions['go_back'] = {
+      name: 'Return to Previous Scene',
+      description: 'Step back through the scenes that were live before this one.',
+      options: [],
+      callback: async () => this._goBack(),
+    }
+
+    actions['preview_scene'] = {
+      name: 'Preview Scene',
+      description: 'Stage a scene for the Take action without sending it live.',
+      options: this._sceneOptions(),
+      learn: (action) => this._learnSceneName(action),
+      callback: async (action) => {
+        const scene = this._resolveScene(action.options)
+        if (!scene) throw new Error(`No scene matches "${action.options.scene_name || action.options.scene}"`)
+        this._setPreviewScene(scene.id)
+      },
+    }
+
+    actions['take'] = {
+      name: 'Take (Preview to Program)',
+      description: 'Send the previewed scene live.',
+      options: [
+        {
+          type: 'dropdown',
+          id: 'after',
+          label: 'Preview afterwards',
+          choices: [
+            { id: 'clear', label: 'Clear' },
+            { id: 'keep', label: 'Keep the same scene' },
+            { id: 'swap', label: 'Swap in the scene that was live' },
+          ],
+          default: 'clear',
+        },
+      ],
+      callback: async (action) => {
+        const id = this.previewSceneId
+        if (!id || !this.scenes[id]) throw new Error('No scene is in preview')
+        const wasLive = this.currentSceneId
+        await this._showScene(id)
+        if (action.options.after === 'clear') this._setPreviewScene(null)
+        else if (action.options.after === 'swap') this._setPreviewScene(wasLive)
+      },
+    }
+
+    // Effects
+    const effectChoices = this._effectChoices()
+    const effectOption = {
+      type: 'dropdown',
+      id: 'effect',
+      label: 'Effect',
+      choices: effectChoices,
+      default: effectChoices[0]?.id ?? '',
+    }
+
+    actions['enable_effect'] = {
+      name: 'Enable Effect',
+      options: [effectOption],
+      callback: async (action) => this._setEffectEnabled(action.options.effect, true),
+    }
+
+    actions['disable_effect'] = {
+      name: 'Disable Effect',
+      options: [effectOption],
+      callback: async (action) => this._setEffectEnabled(action.options.effect, false),
+    }
+
+    actions['toggle_effect'] = {
+      name: 'Toggle Effect',
+      options: [effectOption],
+      callback: async (action) => this._toggleEffect(action.options.effect),
+    }
+
+    const paramChoices = this._effectParamChoices()
+    const paramOption = {
+      type: 'dropdown',
+      id: 'param',
+      label: 'Effect parameter',
+      choices: paramChoices,
+      default: paramChoices[0]?.id ?? '',
+    }
+
+    actions['set_effect_param'] = {
+      name: 'Set Effect Parameter',
+      options: [paramOption, { type: 'number', id: 'value', label: 'Value', default: 0, step: 0.01 }],
+      callback: async (action) => {
+        const { effect, param } = this._getEffectParam(action.options.param)
+        await this._setEffectParam(effect, param, Number(action.options.value))
+      },
+    }
+
+    actions['nudge_effect_param'] = {
+      name: 'Nudge Effect Parameter',
+      description: 'Positive steps raise the value, negative steps lower it.',
+      options: [paramOption, { type: 'number', id: 'step', label: 'Step', default: 0.1, step: 0.01 }],
+      callback: async (action) => {
+        const { effect, param } = this._getEffectParam(action.options.param)
+        const current = Number(effect.params[param])
+        await this._setEffectParam(effect, param, current + Number(action.options.step || 0))
+      },
+    }
+
+    // Playlists
+    const playlistChoices = this.playlists.map((p) => ({ id: p.name, label: p.name }))
+    actions['playlist_start'] = {
+      name: 'Playlist: Start',
+      options: [
+        {
+          type: 'dropdown',
+          id: 'playlist',
+          label: 'Playlist',
+          choices: playlistChoices,
+          default: playlistChoices[0]?.id ?? '',
+        },
+        { type: 'checkbox', id: 'loop', label: 'Loop', default: true },
+      ],
+      callback: async (action) => {
+        const playlist = this.playlists.find((p) => p.name === action.options.playlist)
+        if (!playlist) throw new Error(`No playlist named "${action.options.playlist}"`)
+        await this.sequencer.start(playlist, { loop: !!action.options.loop })
+      },
+    }
+
+    actions['playlist_pause'] = {
+      name: 'Playlist: Pause',
+      options: [],
+      callback: async () => this.sequencer.pause(),
+    }
+
+    actions['playlist_resume'] = {
+      name: 'Playlist: Resume',
+      options: [],
+      callback: async () => this.sequencer.resume(),
+    }
+
+    actions['playlist_stop'] = {
+      name: 'Playlist: Stop',
+      options: [],
+      callback: async () => this.sequencer.stop(),
+    }
+
+    // One-shot captures
+    actions['take_screenshot'] = {
+      name: 'Take Screenshot',
+      options: [],
+      callback: async () => this._capture('screenshot'),
+    }
+
+    actions['save_replay'] = {
+      name: 'Save Replay Clip',
+      options: [],
+      callback: async () => this._capture('replay'),
+    }
+
+    actions['add_marker'] = {
+      name: 'Add Recording Marker',
+      description: 'Drop a marker into the active recording.',
+      options: [],
+      callback: async () => this._capture('marker'),
+    }
+
+    // Streaming toggle
+    actions['toggle_stream'] = {
+      name: 'Toggle Streaming',
+      options: [],
+      callback: async () => this._toggleStream(),
+    }
+
+    // Start/stop only act when Meld is not already in (or heading to) that state, so repeated presses are harmless
+    actions['start_stream'] = {
+      name: 'Start Streaming',
+      options: [],
+      callback: async () => {
+        this._syncOutputState()
+        await this._toggleTowards('stream', this.isStreaming, true, () => this._toggleStream(), OUTPUT_TRANSITION_MS)
+      },
+    }
+
+    actions['stop_stream'] = {
+      name: 'Stop Streaming',
+      options: [],
+      callback: async () => {
+        this._syncOutputState()
+        await this._toggleTowards('stream', this.isStreaming, false, () => this._toggleStream(), OUTPUT_TRANSITION_MS)
+      },
+    }
+
+    // Recording toggle
+    actions['toggle_record'] = {
+      name: 'Toggle Recording',
+      options: [],
+      callback: async () => this._toggleRecord(),
+    }
+
+    actions['start_record'] = {
+      name: 'Start Recording',
+      options: [],
+      callback: async () => {
+        this._syncOutputState()
+        await this._toggleTowards('record', this.isRecording, true, () => this._toggleRecord(), OUTPUT_TRANSITION_MS)
+      },
+    }
+
+    actions['stop_record'] = {
+      name: 'Stop Recording',
+      options: [],
+      callback: async () => {
+        this._syncOutputState()
+        await this._toggleTowards('record', this.isRecording, false, () => this._toggleRecord(), OUTPUT_TRANSITION_MS)
+      },
+    }
+
+    // Layer visibility
+    const layerChoices = this._layerChoices()
+    const layerOption = {
+      type: 'dropdown',
+      id: 'layer',
+      label: 'Layer',
+      choices: layerChoices,
+      default: layerChoices[0]?.id ?? '',
+    }
+
+    actions['show_layer'] = {
+      name: 'Show Layer',
+      options: [layerOption],
+      callback: async (action) => this._setLayerVisible(action.options.layer, true),
+    }
+
+    actions['hide_layer'] = {
+      name: 'Hide Layer',
+      options: [layerOption],
+      callback: async (action) => this._setLayerVisible(action.options.layer, false),
+    }
+
+    actions['toggle_layer'] = {
+      name: 'Toggle Layer',
+      options: [layerOption],
+      callback: async (action) => this._toggleLayer(action.options.layer),
+    }
+
+    // Audio tracks
+    const trackChoices = this._trackChoices()
+    const trackOption = {
+      type: 'dropdown',
+      id: 'track',
+      label: 'Track',
+      choices: trackChoices,
+      default: trackChoices[0]?.id ?? '',
+    }
+
+    actions['mute_track'] = {
+      name: 'Mute Track',
+      options: [trackOption],
+      callback: async (action) => this._setMuted(action.options.track, true),
+    }
+
+    actions['unmute_track'] = {
+      name: 'Unmute Track',
+      options: [trackOption],
+      callback: async (action) => this._setMuted(action.options.track, false),
+    }
+
+    actions['toggle_mute'] = {
+      name: 'Toggle Track Mute',
+      options: [trackOption],
+      callback: async (action) => this._toggleMute(action.options.track),
+    }
+
+    actions['set_gain'] = {
+      name: 'Set Track Gain (dB)',
+      options: [
+        trackOption,
+        { type: 'number', id: 'db', label: 'Gain (dB)', min: MIN_GAIN_DB, max: MAX_GAIN_DB, step: 0.5, default: 0 },
+      ],
+      callback: async (action) => this._setGainDb(action.options.track, Number(action.options.db)),
+    }
+
+    actions['nudge_gain'] = {
+      name: 'Nudge Track Gain (dB)',
+      description: 'Positive steps raise the gain, negative steps lower it.',
+      options: [
+        trackOption,
+        { type: 'number', id: 'step', label: 'Step (dB)', min: -24, max: 24, step: 0.5, default: 1 },
+      ],
+      callback: async (action) => {
+        const track = this._getTrack(action.options.track)
+        const current = Math.max(gainToDb(track.gain), MIN_GAIN_DB)
+        await this._setGainDb(track.id, current + Number(action.options.step || 0))
+      },
+    }
+
+    actions['toggle_monitor'] = {
+      name: 'Toggle Track Monitoring',
+      options: [trackOption],
+      callback: async (action) => this._toggleMonitor(action.options.track),
+    }
+
+    // Generic access to whatever the WebChannel publishes
+    const methodChoices = this._apiChoices('methods')
+    actions['call_method'] = {
+      name: 'Advanced: Call Meld Method',
+      description: 'Invoke any method published over the WebChannel.',
+      options: [
+        {
+          type: 'dropdown',
+          id: 'method',
+          label: 'Method',
+          choices: methodChoices,
+          default: methodChoices[0]?.id ?? '',
+          allowCustom: true,
+          tooltip: 'Listed from the connected Meld; type object.method for anything not listed',
+        },
+        {
+          type: 'textinput',
+          id: 'args',
+          label: 'Arguments (JSON array)',
+          default: '[]',
+          useVariables: true,
+        },
+      ],
+      callback: async (action, context) => {
+        const { object, member } = this._splitApiTarget(action.options.method)
+        const argsText = (await context.parseVariablesInString(action.options.args || '')).trim() || '[]'
+        let args
+        try {
+          args = JSON.parse(argsText)
+        } catch (err) {
+          throw new Error(`Arguments must be a JSON array: ${err.message}`)
+        }
+        if (!Array.isArray(args)) args = [args]
+        if (!this.channel) throw new Error('Not connected to Meld Studio')
+
+        const result = await this.channel.invoke(object, member, args)
+        this.log('debug', `${object}.${member}(${argsText}) returned ${JSON.stringify(result)}`)
+      },
+    }
+
+    const propertyChoices = this._apiChoices('properties')
+    actions['set_property'] = {
+      name: 'Advanced: Set Meld Property',
+      description: 'Write any property published over the WebChannel.',
+      options: [
+        {
+          type: 'dropdown',
+          id: 'property',
+          label: 'Property',
+          choices: propertyChoices,
+          default: propertyChoices[0]?.id ?? '',
+          allowCustom: true,
+          tooltip: 'Listed from the connected Meld; type object.property for anything not listed',
+        },
+        {
+          type: 'textinput',
+          id: 'value',
+          label: 'Value (JSON, or plain text)',
+          default: '',
+          useVariables: true,
+        },
+      ],
+      callback: async (action, context) => {
+        const { object, member } = this._splitApiTarget(action.options.property)
+        const value = parseLooseValue(await context.parseVariablesInString(action.options.value ?? ''))
+        if (!this.channel) throw new Error('Not connected to Meld Studio')
+        await this.channel.setProperty(object, member, value)
+      },
+    }
+
+    actions['log_api'] = {
+      name: 'Debug: Log Meld API Surface',
+      description: 'Write every object, method, property and signal Meld publishes to the module log.',
+      options: [],
+      callback: async () => {
+        if (!this.channel) throw new Error('Not connected to Meld Studio')
+        for (const [name, object] of Object.entries(this.channel.objects)) {
+          this.log('info', `WebChannel object "${name}": ${JSON.stringify(describeRemoteObject(object))}`)
+        }
+      },
+    }
+
+    this.setActionDefinitions(actions)
+  }
+
+  _defineFeedbacks() {
+    const layerChoices = this._layerChoices()
+    const trackChoices = this._trackChoices()
+    const effectChoices = this._effectChoices()
+    const propertyChoices = this._apiChoices('properties')
+
+    this.setFeedbackDefinitions({
+      scene_active: {
+        type: 'boolean',
+        name: 'Scene Active',
+        description: 'Change button style if the selected scene is currently live.',
+        options: this._sceneOptions(),
+        learn: (fb) => this._learnSceneName(fb),
+        defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff }, // red when active
+        callback: (fb) => {
+          const scene = this._resolveScene(fb.options)
+          return !!scene && scene.id === this.currentSceneId
+        },
+      },
+      scene_preview: {
+        type: 'boolean',
+        name: 'Scene in Preview',
+        description: 'Change button style if the selected scene is staged for the next Take.',
+        options: this._sceneOptions(),
+        learn: (fb) => this._learnSceneName(fb),
+        defaultStyle: { bgcolor: 0x00a000, color: 0xffffff }, // green in preview
+        callback: (fb) => {
+          const scene = this._resolveScene(fb.options)
+          return !!scene && scene.id === this.previewSceneId
+        },
+      },
+      layer_visible: {
+        type: 'boolean',
+        name: 'Layer Visible',
+        description: 'Change button style if the selected layer is currently shown.',
+        options: [
+          { type: 'dropdown', id: 'layer', label: 'Layer', choices: layerChoices, default: layerChoices[0]?.id ?? '' },
+        ],
+        defaultStyle: { bgcolor: 0x00a000, color: 0xffffff }, // green when visible
+        callback: (fb) => !!this.layers[fb.options?.layer]?.visible,
+      },
+      track_muted: {
+        type: 'boolean',
+        name: 'Track Muted',
+        description: 'Change button style if the selected audio track is muted.',
+        options: [
+          { type: 'dropdown', id: 'track', label: 'Track', choices: trackChoices, default: trackChoices[0]?.id ?? '' },
+        ],
+        defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+        callback: (fb) => !!this.tracks[fb.options?.track]?.muted,
+      },
+      track_monitoring: {
+        type: 'boolean',
+        name: 'Track Monitoring',
+        description: 'Change button style if the selected audio track is being monitored.',
+        options: [
+          { type: 'dropdown', id: 'track', label: 'Track', choices: trackChoices, default: trackChoices[0]?.id ?? '' },
+        ],
+        defaultStyle: { bgcolor: 0xcc8800, color: 0xffffff },
+        callback: (fb) => !!this.tracks[fb.options?.track]?.monitoring,
+      },
+      capture_flash: {
+        type: 'boolean',
+        name: 'Capture Succeeded',
+        description: 'Light the button briefly after a screenshot, replay clip or marker succeeds.',
+        options: [
+          {
+            type: 'dropdown',
+            id: 'kind',
+            label: 'Capture',
+            choices: Object.entries(CAPTURE_COMMANDS).map(([id, c]) => ({ id, label: c.label })),
+            default: 'screenshot',
+          },
+        ],
+        defaultStyle: { bgcolor: 0x00a000, color: 0xffffff },
+        callback: (fb) => !!this.captureFlash[fb.options.kind],
+      },
+      streaming: {
+        type: 'boolean',
+        name: 'Streaming',
+        description: 'Change button style while Meld is streaming.',
+        options: [],
+        defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+        callback: () => this.isStreaming,
+      },
+      recording: {
+        type: 'boolean',
+        name: 'Recording',
+        description: 'Change button style while Meld is recording.',
+        options: [],
+        defaultStyle: { bgcolor: 0xcc0000, color: 0xffffff },
+        callback: () => this.isRecording,
+      },
+      effect_enabled: {
+        type: 'boolean',
+        name: 'Effect Enabled',
+        description: 'Change button style if the selected effect is active.',
+        options: [
+          { type: 'dropdown', id: 'effect', label: 'Effect', choices: effectChoices, default: effectChoices[0]?.id ?? '' },
+        ],
+        defaultStyle: { bgcolor: 0x6a00cc, color: 0xffffff },
+        callback: (fb) => !!this.effects[fb.options?.effect]?.enabled,
+      },
+      playlist_running: {
+        type: 'boolean',
+        name: 'Playlist Running',
+        description: 'Change button style while a playlist is running (not paused).',
+        options: [
+          {
+            type: 'dropdown',
+            id: 'playlist',
+            label: 'Playlist',
+            choices: [{ id: '', label: 'Any playlist' }, ...this.playlists.map((p) => ({ id: p.name, label: p.name }))],
+            default: '',
+          },
+        ],
+        defaultStyle: { bgcolor: 0x00a000, color: 0xffffff },
+        callback: (fb) =>
+          this.sequencer.running && (!fb.options.playlist || this.sequencer.playlist?.name === fb.options.playlist),
+      },
+      property_compare: {
+        type: 'boolean',
+        name: 'Advanced: Meld Property Matches',
+        description: 'Change button style when any WebChannel property compares true against a value.',
+        options: [
+          {
+            type: 'dropdown',
+            id: 'property',
+            label: 'Property',
+            choices: propertyChoices,
+            default: propertyChoices[0]?.id ?? '',
+            allowCustom: true,
+          },
+          {
+            type: 'dropdown',
+            id: 'op',
+            label: 'Comparison',
+            choices: [
+              { id: 'eq', label: '=' },
+              { id: 'ne', label: '≠' },
+              { id: 'gt', label: '>' },
+              { id: 'gte', label: '≥' },
+              { id: 'lt', label: '<' },
+              { id: 'lte', label: '≤' },
+              { id: 'contains', label: 'contains' },
+            ],
+            default: 'eq',
+          },
+          { type: 'textinput', id: 'value', label: 'Value', default: 'true' },
+        ],
+        defaultStyle: { bgcolor: 0x0000cc, color: 0xffffff },
+        callback: (fb) => {
+          const actual = this._readApiProperty(fb.options.property)
+          if (actual === undefined) return false
+          return compareValues(actual, fb.options.op, fb.options.value ?? '')
+        },
+      },
+    })
+  }
+
+  _refreshFeedbackChoices() {
+    this._defineFeedbacks()
+  }
+
+  /**
+   * Scenes that get presets, in Meld's order, each with its preset category group (or null)
+   * and the button label left once the group is taken off the name.
+   */
+  _presetScenes() {
+    const { include, exclude } = this.sceneFilters
+    const { preset_grouping: grouping, preset_separator: separator, preset_prefixes: prefixes } = this.config
+
+    const entries = []
+    for (const scene of this._orderedScenes()) {
+      if (include && !include.test(scene.name)) continue
+      if (exclude && exclude.test(scene.name)) continue
+
+      let group = null
+      let label = scene.name
+      if (grouping === 'separator') {
+        const at = scene.name.indexOf(separator)
+        const rest = at > 0 ? scene.name.slice(at + separator.length).trim() : ''
+        if (rest) {
+          group = scene.name.slice(0, at).trim()
+          label = rest
+        }
+      } else if (grouping === 'prefix') {
+        // Longest prefix wins, so "Cam B" beats "Cam"
+        const lower = scene.name.toLowerCase()
+        const prefix = prefixes
+          .filter((p) => lower.startsWith(p.toLowerCase()))
+          .sort((a, b) => b.length - a.length)[0]
+        if (prefix) {
+          group = prefix
+          label = scene.name.slice(prefix.length).trim() || scene.name
+        }
+      }
+      entries.push({ scene, group, label })
+    }
+    return entries
+  }
+
+  /** Build drag-and-drop presets for the Presets tab */
+  _definePresets() {
+    const presets = []
+    const { preset_color: color, preset_bgcolor: bgcolor } = this.config
+    const activeStyle = { color: this.config.preset_active_color, bgcolor: this.config.preset_active_bgcolor }
+    const presetScenes = this._presetScenes()
+    const shownSceneIds = new Set(presetScenes.map(({ scene }) => scene.id))
+    // Only scenes the filters removed hide their layers; layers of an unknown scene still get presets
+    const filteredOut = (sceneId) => !!this.scenes[sceneId] && !shownSceneIds.has(sceneId)
+
+    // Category buckets (helps users find things)
+    const catScenes = 'Scenes'
+    const catControl = 'Control'
+    const catNavigation = 'Navigation'
+
+    // One preset per scene, optionally grouped by name
+    for (const { scene, group, label } of presetScenes) {
+      const { id } = scene
+      presets.push({
+        type: 'button',
+        category: group ? `${catScenes}: ${group}` : catScenes,
+        name: `Scene: ${scene.name}`,
+        style: {
+          text: label,
+          size: 'auto',
+          color,
+          bgcolor,
+        },
+        steps: [
+          {
+            down: [
+              { actionId: 'show_scene', options: { scene: id, scene_name: scene.name } },
+            ],
+            up: [],
+          },
+        ],
+        feedbacks: [
+          { feedbackId: 'scene_active', options: { scene: id, scene_name: scene.name }, style: activeStyle },
+        ],
+      })
+    }
+
+    // One visibility toggle per layer, grouped by parent scene
+    for (const { id } of this._layerChoices()) {
+      const layer = this.layers[id]
+      if (filteredOut(layer.sceneId)) continue
+      const sceneName = this.scenes[layer.sceneId]?.name || layer.sceneId || 'Unknown Scene'
+      presets.push({
+        type: 'button',
+        category: `Layers: ${sceneName}`,
+        name: `Toggle Layer: ${layer.name}`,
+        style: {
+          text: layer.name,
+          size: 'auto',
+          color,
+          bgcolor,
+        },
+        steps: [
+          {
+            down: [
+              { actionId: 'toggle_layer', options: { layer: id } },
+            ],
+            up: [],
+          },
+        ],
+        feedbacks: [
+          { feedbackId: 'layer_visible', options: { layer: id } },
+        ],
+      })
+    }
+
+    // One toggle per effect, grouped by the layer or track it is attached to
+    for (const { id } of this._effectChoices()) {
+      const effect = this.effects[id]
+      if (effect.parentType === 'layer' && filteredOut(effect.sceneId)) continue
+      const group =
+        effect.parentType === 'layer'
+          ? `${this.scenes[effect.sceneId]?.name || effect.sceneId || '?'} / ${effect.parentName}`
+          : effect.parentName
+      const paramLine = Object.keys(effect.params)
+        .slice(0, 1)
+        .map((param) => `\n$(meldstudio:${effectVariableId(effect, param)})`)
+        .join('')
+      presets.push({
+        type: 'button',
+        category: `Effects: ${group}`,
+        name: `Toggle Effect: ${effect.name}`,
+        style: { text: `${effect.name}${paramLine}`, size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId: 'toggle_effect', options: { effect: id } }], up: [] }],
+        feedbacks: [{ feedbackId: 'effect_enabled', options: { effect: id } }],
+      })
+    }
+
+    // Mute toggle per audio track, showing the live gain
+    for (const track of Object.values(this.tracks)) {
+      presets.push({
+        type: 'button',
+        category: 'Audio',
+        name: `Toggle Mute: ${track.name}`,
+        style: {
+          text: `${track.name}\n$(meldstudio:gain_${track.slug}) dB`,
+          size: 'auto',
+          color,
+          bgcolor,
+        },
+        steps: [{ down: [{ actionId: 'toggle_mute', options: { track: track.id } }], up: [] }],
+        feedbacks: [{ feedbackId: 'track_muted', options: { track: track.id } }],
+      })
+    }
+
+    // Stage any scene for Take
+    for (const { scene, group, label } of presetScenes) {
+      const { id } = scene
+      presets.push({
+        type: 'button',
+        category: group ? `Preview: ${group}` : 'Preview',
+        name: `Preview: ${scene.name}`,
+        style: { text: label, size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId: 'preview_scene', options: { scene: id, scene_name: scene.name } }], up: [] }],
+        feedbacks: [
+          { feedbackId: 'scene_preview', options: { scene: id, scene_name: scene.name } },
+          { feedbackId: 'scene_active', options: { scene: id, scene_name: scene.name }, style: activeStyle },
+        ],
+      })
+    }
+
+    presets.push({
+      type: 'button',
+      category: catNavigation,
+      name: 'Previous Scene',
+      style: { text: '◀ $(meldstudio:preceding_scene_name)', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'previous_scene', options: { wrap: true } }], up: [] }],
+      feedbacks: [],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catNavigation,
+      name: 'Next Scene',
+      style: { text: '$(meldstudio:next_scene_name) ▶', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'next_scene', options: { wrap: true } }], up: [] }],
+      feedbacks: [],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catNavigation,
+      name: 'Live Scene (press for next)',
+      style: { text: 'LIVE\n$(meldstudio:current_scene_name)', size: 'auto', ...activeStyle },
+      steps: [{ down: [{ actionId: 'next_scene', options: { wrap: true } }], up: [] }],
+      feedbacks: [],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catNavigation,
+      name: 'Return to Previous Scene',
+      style: { text: 'Back\n$(meldstudio:previous_scene_name)', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'go_back', options: {} }], up: [] }],
+      feedbacks: [],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catNavigation,
+      name: 'Take',
+      style: { text: 'TAKE\n$(meldstudio:preview_scene_name)', size: 'auto', color, bgcolor: 0x404040 },
+      steps: [{ down: [{ actionId: 'take', options: { after: 'clear' } }], up: [] }],
+      feedbacks: [],
+    })
+
+    // One start button per playlist, plus shared transport controls
+    for (const playlist of this.playlists) {
+      presets.push({
+        type: 'button',
+        category: 'Playlists',
+        name: `Start Playlist: ${playlist.name}`,
+        style: { text: playlist.name, size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId: 'playlist_start', options: { playlist: playlist.name, loop: true } }], up: [] }],
+        feedbacks: [{ feedbackId: 'playlist_running', options: { playlist: playlist.name } }],
+      })
+    }
+
+    if (this.playlists.length) {
+      presets.push({
+        type: 'button',
+        category: 'Playlists',
+        name: 'Pause Playlist',
+        style: { text: 'Pause\n$(meldstudio:playlist_next_in)s', size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId: 'playlist_pause', options: {} }], up: [] }],
+        feedbacks: [],
+      })
+
+      presets.push({
+        type: 'button',
+        category: 'Playlists',
+        name: 'Resume Playlist',
+        style: { text: 'Resume\n$(meldstudio:playlist_step)', size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId: 'playlist_resume', options: {} }], up: [] }],
+        feedbacks: [{ feedbackId: 'playlist_running', options: { playlist: '' } }],
+      })
+
+      presets.push({
+        type: 'button',
+        category: 'Playlists',
+        name: 'Stop Playlist',
+        style: { text: 'Stop\nPlaylist', size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId: 'playlist_stop', options: {} }], up: [] }],
+        feedbacks: [],
+      })
+    }
+
+    // Capture buttons flash green when the capture went through
+    for (const [kind, actionId, text] of [
+      ['screenshot', 'take_screenshot', 'Screenshot'],
+      ['replay', 'save_replay', 'Save\nReplay'],
+      ['marker', 'add_marker', 'Marker\n$(meldstudio:last_marker_record_time)'],
+    ]) {
+      presets.push({
+        type: 'button',
+        category: 'Capture',
+        name: CAPTURE_COMMANDS[kind].label,
+        style: { text, size: 'auto', color, bgcolor },
+        steps: [{ down: [{ actionId, options: {} }], up: [] }],
+        feedbacks: [{ feedbackId: 'capture_flash', options: { kind } }],
+      })
+    }
+
+    // Streaming/Recording toggle presets (handy defaults)
+    presets.push({
+      type: 'button',
+      category: catControl,
+      name: 'Toggle Streaming',
+      style: { text: 'Stream\n$(meldstudio:stream_duration)', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'toggle_stream', options: {} }], up: [] }],
+      feedbacks: [{ feedbackId: 'streaming', options: {} }],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catControl,
+      name: 'Toggle Recording',
+      style: { text: 'Record\n$(meldstudio:record_duration)', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'toggle_record', options: {} }], up: [] }],
+      feedbacks: [{ feedbackId: 'recording', options: {} }],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catControl,
+      name: 'Start Streaming',
+      style: { text: 'Go Live', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'start_stream', options: {} }], up: [] }],
+      feedbacks: [{ feedbackId: 'streaming', options: {} }],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catControl,
+      name: 'Stop Streaming',
+      style: { text: 'End Stream', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'stop_stream', options: {} }], up: [] }],
+      feedbacks: [],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catControl,
+      name: 'Start Recording',
+      style: { text: 'Start Rec', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'start_record', options: {} }], up: [] }],
+      feedbacks: [{ feedbackId: 'recording', options: {} }],
+    })
+
+    presets.push({
+      type: 'button',
+      category: catControl,
+      name: 'Stop Recording',
+      style: { text: 'Stop Rec', size: 'auto', color, bgcolor },
+      steps: [{ down: [{ actionId: 'stop_record', options: {} }], up: [] }],
+      feedbacks: [],
+    })
+
+    this.setPresetDefinitions(presets)
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Parse one playlist config line: "Preshow: Intro=10, Sponsor (Cam)=5.5".
+ * Scenes are referenced by name (or ID) so a playlist survives a session rebuild.
+ * Returns null for an empty line; throws on anything malformed.
+ */
+export function parsePlaylist(text) {
+  const line = String(text ?? '').trim()
+  if (!line) return null
+
+  const colon = line.indexOf(':')
+  if (colon <= 0) throw new Error(`Playlist "${line}" needs a name followed by ":"`)
+  const name = line.slice(0, colon).trim()
+
+  const steps = []
+  for (const part of line.slice(colon + 1).split(',')) {
+    if (!part.trim()) continue
+    const eq = part.lastIndexOf('=')
+    const scene = (eq === -1 ? part : part.slice(0, eq)).trim()
+    const seconds = Number(eq === -1 ? NaN : part.slice(eq + 1))
+    if (!scene || !(seconds > 0)) throw new Error(`Playlist "${name}": step "${part.trim()}" should look like Scene=seconds`)
+    steps.push({ scene, seconds })
+  }
+  if (steps.length === 0) throw new Error(`Playlist "${name}" has no steps`)
+  return { name, steps }
+}
+
+/**
+ * Runs a playlist: shows each step's scene, waits its dwell time, moves on.
+ *
+ * `host` supplies the module side:
+ *  - resolveScene(ref) -> scene id or null
+ *  - showScene(id)     -> Promise
+ *  - onChange()        called on every state change and once a second while running
+ *  - log(level, msg)
+ */
+export class SceneSequencer {
+  constructor(host) {
+    this.host = host
+    this.playlist = null
+    this.state = 'stopped' // 'running' | 'paused' | 'stopped'
+    this.loop = false
+    this.stepIndex = 0
+    this.stepEndsAt = null // while running
+    this.remainingMs = 0 // while paused
+    this.expectedSceneId = null // what we last switched to, to tell our changes from manual ones
+    this.stepTimer = null
+    this.tickTimer = null
+  }
+
+  get running() {
+    return this.state === 'running'
+  }
+
+  get currentStep() {
+    return this.playlist?.steps[this.stepIndex] ?? null
+  }
+
+  /** Milliseconds until the next switch, or 0 when nothing is scheduled */
+  get remaining() {
+    if (this.state === 'running') return Math.max(0, this.stepEndsAt - Date.now())
+    if (this.state === 'paused') return this.remainingMs
+    return 0
+  }
+
+  async start(playlist, { loop = false } = {}) {
+    this.stop()
+    this.playlist = playlist
+    this.loop = loop
+    this.state = 'running'
+    this.tickTimer = setInterval(() => this.host.onChange(), 1000)
+    await this.#enterStep(0)
+  }
+
+  /** Swap in an edited definition of the active playlist; a position past its new end moves to the last step */
+  update(playlist) {
+    this.playlist = playlist
+    if (this.stepIndex >= playlist.steps.length) this.stepIndex = playlist.steps.length - 1
+    this.host.onChange()
+  }
+
+  pause() {
+    if (this.state !== 'running') return
+    this.remainingMs = this.remaining
+    this.#clearStepTimer()
+    this.state = 'paused'
+    this.host.onChange()
+  }
+
+  resume() {
+    if (this.state !== 'paused') return
+    this.state = 'running'
+    this.#schedule(this.remainingMs)
+    this.host.onChange()
+  }
+
+  stop() {
+    this.#clearStepTimer()
+    if (this.tickTimer) clearInterval(this.tickTimer)
+    this.tickTimer = null
+    const wasActive = this.state !== 'stopped'
+    this.state = 'stopped'
+    this.stepEndsAt = null
+    this.remainingMs = 0
+    this.expectedSceneId = null
+    if (wasActive) this.host.onChange()
+  }
+
+  /** Called for every live scene change; returns true when it was not one of ours */
+  noteSceneChange(id) {
+    return this.state === 'running' && this.expectedSceneId !== null && id !== this.expectedSceneId
+  }
+
+  async #enterStep(index) {
+    const { steps } = this.playlist
+    // Try each step at most once per pass, skipping scenes that no longer exist
+    for (let tries = 0; tries < steps.length; tries++) {
+      if (index >= steps.length) {
+        if (!this.loop) {
+          this.host.log('info', `Playlist "${this.playlist.name}" finished`)
+          this.stop()
+          return
+        }
+        index = 0
+      }
+
+      const step = steps[index]
+      const id = this.host.resolveScene(step.scene)
+      if (id === null) {
+        this.host.log('warn', `Playlist "${this.playlist.name}": no scene matches "${step.scene}", skipping`)
+        index++
+        continue
+      }
+
+      this.stepIndex = index
+      this.expectedSceneId = id
+      this.#schedule(step.seconds * 1000)
+      this.host.onChange()
+      try {
+        await this.host.showScene(id)
+      } catch (err) {
+        this.host.log('warn', `Playlist "${this.playlist.name}": switching to "${step.scene}" failed: ${err.message}`)
+      }
+      return
+    }
+
+    this.host.log('warn', `Playlist "${this.playlist.name}": none of its scenes exist, stopping`)
+    this.stop()
+  }
+
+  #schedule(ms) {
+    this.#clearStepTimer()
+    this.stepEndsAt = Date.now() + ms
+    this.stepTimer = setTimeout(() => {
+      this.stepTimer = null
+      this.#enterStep(this.stepIndex + 1)
+    }, ms)
+  }
+
+  #clearStepTimer() {
+    if (this.stepTimer) clearTimeout(this.stepTimer)
+    this.stepTimer = null
+  }
+}
@@ -0,0 +1,85 @@
+// Runs MeldStudioInstance without a Companion host: everything the instance would send over IPC
+// is captured on the instance instead, and action/feedback callbacks can be invoked directly.
+
+import { MeldStudioInstance } from '../instance.js'
+
+// Every InstanceBase listens for host IPC on `process`; many instances per run is expected here
+process.setMaxListeners(0)
+
+class TestInstance extends MeldStudioInstance {
+  // The base constructor logs before subclass fields exist, so state is created lazily
+  get captured() {
+    this._captured ??= { logs: [], statuses: [], actions: {}, feedbacks: {}, presets: [], variables: {}, values: {} }
+    return this._captured
+  }
+
+  log(level, message) {
+    this.captured.logs.push({ level, message })
+  }
+
+  updateStatus(status, message) {
+    this.captured.statuses.push({ status, message })
+  }
+
+  setActionDefinitions(actions) {
+    this.captured.actions = actions
+  }
+
+  setFeedbackDefinitions(feedbacks) {
+    this.captured.feedbacks = feedbacks
+  }
+
+  setPresetDefinitions(presets) {
+    this.captured.presets = presets
+  }
+
+  setVariableDefinitions(variables) {
+    this.captured.variables = Object.fromEntries(variables.map((v) => [v.variableId, v]))
+  }
+
+  setVariableValues(values) {
+    Object.assign(this.captured.values, values)
+  }
+
+  checkFeedbacks() {}
+
+  get status() {
+    return this.captured.statuses.at(-1)
+  }
+
+  async runAction(actionId, options = {}) {
+    const definition = this.captured.actions[actionId]
+    if (!definition) throw new Error(`No action ${actionId}`)
+    const context = { parseVariablesInString: async (text) => text }
+    return definition.callback({ id: 'test', actionId, controlId: 'test', options }, context)
+  }
+
+  feedback(feedbackId, options = {}) {
+    const definition = this.captured.feedbacks[feedbackId]
+    if (!definition) throw new Error(`No feedback ${feedbackId}`)
+    return definition.callback({ id: 'test', feedbackId, controlId: 'test', options })
+  }
+}
+
+export function createInstance() {
+  return new TestInstance({ id: 'test', upgradeScripts: [], _isInstanceBaseProps: true })
+}
+
+/**
+ * Config for a local simulator with fast retries and no heartbeat unless asked for.
+ * reconnect_min is the lowest value the config accepts; anything below falls back to the 1s default.
+ */
+export function testConfig(port, overrides = {}) {
+  return { host: '127.0.0.1', port, reconnect_min: 0.1, reconnect_max: 0.2, heartbeat: 0, ...overrides }
+}
+
+/** Poll until `predicate` is truthy; rejects with `what` after `timeoutMs` */
+export async function waitFor(predicate, what = 'condition', timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs
+  for (;;) {
+    const value = await predicate()
+    if (value) return value
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`)
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+}
@@ -0,0 +1,459 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { MeldSimulator } from './meld-simulator.js'
+import { createInstance, testConfig, waitFor } from './harness.js'
+
+let sim
+let instance
+
+beforeEach(async () => {
+  sim = new MeldSimulator()
+  await sim.listen(0)
+  instance = createInstance()
+})
+
+afterEach(async () => {
+  await instance.destroy()
+  await sim.close()
+})
+
+async function connect(overrides) {
+  await instance.init(testConfig(sim.port, overrides))
+  await waitFor(() => instance.captured.values.scene_count === 2, 'scene discovery')
+}
+
+test('connects and discovers scenes, layers and tracks', async () => {
+  await connect()
+
+  assert.equal(instance.status.status, 'ok')
+  assert.deepEqual(Object.keys(instance.scenes), ['scene1', 'scene2'])
+  assert.equal(instance.scenes.scene2.name, 'Main')
+  assert.deepEqual(Object.keys(instance.layers), ['layer1', 'layer2', 'layer3'])
+  assert.deepEqual(Object.keys(instance.tracks), ['track1', 'track2'])
+
+  assert.equal(instance.captured.values.current_scene_name, 'Intro')
+  assert.equal(instance.captured.values.connection_state, 'ok')
+  assert.equal(instance.captured.values.gain_music, '-6.0')
+  assert.deepEqual(
+    instance.captured.actions.toggle_layer.options[0].choices.map((c) => c.label),
+    ['Intro / Logo', 'Main / Lower Third', 'Main / Camera']
+  )
+})
+
+test('show_scene switches scenes and updates feedback and variables', async () => {
+  await connect()
+
+  await instance.runAction('show_scene', { scene: 'scene2', scene_name: '' })
+  assert.deepEqual(sim.calls.at(-1), ['showScene', 'scene2'])
+
+  await waitFor(() => instance.currentSceneId === 'scene2', 'sceneChanged')
+  assert.equal(instance.feedback('scene_active', { scene: 'scene2' }), true)
+  assert.equal(instance.feedback('scene_active', { scene: 'scene1' }), false)
+  assert.equal(instance.captured.values.current_scene_name, 'Main')
+  assert.equal(instance.captured.values.previous_scene_name, 'Intro')
+})
+
+test('show_scene falls back to matching by name', async () => {
+  await connect()
+
+  await instance.runAction('show_scene', { scene: 'gone', scene_name: 'main' })
+  assert.deepEqual(sim.calls.at(-1), ['showScene', 'scene2'])
+
+  await assert.rejects(instance.runAction('show_scene', { scene: 'gone', scene_name: 'nope' }), /No scene matches/)
+})
+
+test('layer actions toggle visibility and drive the layer_visible feedback', async () => {
+  await connect()
+  assert.equal(instance.feedback('layer_visible', { layer: 'layer2' }), false)
+
+  await instance.runAction('show_layer', { layer: 'layer2' })
+  await waitFor(() => instance.feedback('layer_visible', { layer: 'layer2' }), 'layer shown')
+  assert.deepEqual(sim.calls.at(-1), ['toggleLayer', 'scene2', 'layer2'])
+
+  // already visible: no second toggle
+  await instance.runAction('show_layer', { layer: 'layer2' })
+  assert.equal(sim.calls.filter(([m]) => m === 'toggleLayer').length, 1)
+
+  // two overlapping presses before Meld reports back still toggle only once
+  await Promise.all([
+    instance.runAction('hide_layer', { layer: 'layer3' }),
+    instance.runAction('hide_layer', { layer: 'layer3' }),
+  ])
+  await waitFor(() => !instance.feedback('layer_visible', { layer: 'layer3' }), 'layer hidden')
+  assert.equal(sim.calls.filter(([m, , id]) => m === 'toggleLayer' && id === 'layer3').length, 1)
+  assert.equal(sim.items.layer3.visible, false)
+
+  await assert.rejects(instance.runAction('show_layer', { layer: 'gone' }), /Layer "gone" not found/)
+})
+
+test('audio actions mute, set gain and nudge', async () => {
+  await connect()
+
+  await instance.runAction('mute_track', { track: 'track1' })
+  await waitFor(() => instance.feedback('track_muted', { track: 'track1' }), 'track muted')
+
+  await instance.runAction('set_gain', { track: 'track1', db: -12 })
+  await instance.runAction('nudge_gain', { track: 'track1', step: 2 })
+  assert.equal(instance.captured.values.gain_mic, '-10.0')
+  await waitFor(() => Math.abs(sim.items.track1.gain - 10 ** (-10 / 20)) < 1e-9, 'gain applied')
+
+  await Promise.all([
+    instance.runAction('unmute_track', { track: 'track2' }),
+    instance.runAction('unmute_track', { track: 'track2' }),
+  ])
+  await waitFor(() => !instance.feedback('track_muted', { track: 'track2' }), 'track unmuted')
+  assert.equal(sim.calls.filter(([m, id]) => m === 'toggleMute' && id === 'track2').length, 1)
+
+  await assert.rejects(instance.runAction('nudge_gain', { track: 'gone', step: 1 }), /Track "gone" not found/)
+})
+
+test('start/stop streaming only toggle when the state differs', async () => {
+  await connect()
+
+  await instance.runAction('start_stream')
+  await waitFor(() => instance.feedback('streaming'), 'streaming')
+  await instance.runAction('start_stream')
+  assert.equal(sim.calls.filter(([m]) => m === 'toggleStream').length, 1)
+  assert.match(instance.captured.values.stream_duration, /^\d\d:\d\d:\d\d$/)
+
+  await instance.runAction('stop_stream')
+  await waitFor(() => !instance.feedback('streaming'), 'stream stopped')
+})
+
+test('overlapping start_record presses toggle only once', async () => {
+  await connect()
+
+  await Promise.all([instance.runAction('start_record'), instance.runAction('start_record')])
+  await waitFor(() => instance.feedback('recording'), 'recording')
+  assert.equal(sim.calls.filter(([m]) => m === 'toggleRecord').length, 1)
+  assert.equal(sim.get('isRecording'), true)
+
+  await Promise.all([instance.runAction('stop_record'), instance.runAction('stop_record')])
+  await waitFor(() => !instance.feedback('recording'), 'recording stopped')
+  assert.equal(sim.calls.filter(([m]) => m === 'toggleRecord').length, 2)
+})
+
+test('a slow start keeps its pending target past the call timeout', async () => {
+  await connect()
+  // Meld accepts the call but takes its time going live
+  const goLive = sim.methods.toggleStream
+  sim.methods.toggleStream = () => {}
+
+  await instance.runAction('start_stream')
+  instance.pendingTargets.get('stream').at -= 10000 // well past CALL_TIMEOUT_MS
+  await instance.runAction('start_stream')
+  assert.equal(sim.calls.filter(([m]) => m === 'toggleStream').length, 1)
+
+  goLive()
+  await waitFor(() => instance.feedback('streaming'), 'streaming')
+  assert.equal(instance.pendingTargets.has('stream'), false)
+})
+
+test('a lost connection clears the streaming feedback and duration', async () => {
+  sim.setProperty('isStreaming', true)
+  await connect()
+  await waitFor(() => instance.feedback('streaming'), 'streaming')
+
+  sim.dropClients()
+  await waitFor(() => instance.status.status !== 'ok', 'disconnect noticed')
+  assert.equal(instance.feedback('streaming'), false)
+  assert.equal(instance.captured.values.stream_duration, '00:00:00')
+  assert.equal(instance.durationTimer, null)
+})
+
+test('scenes added in Meld appear without reconnecting', async () => {
+  await connect()
+
+  sim.addItem('scene3', { type: 'scene', name: 'Outro', index: 2, current: false })
+  await waitFor(() => instance.captured.values.scene_count === 3, 'new scene')
+  const choices = instance.captured.actions.show_scene.options[0].choices
+  assert.ok(choices.some((c) => c.id === 'scene3' && c.label === 'Outro'))
+  assert.ok(instance.captured.presets.some((p) => p.name === 'Scene: Outro'))
+})
+
+test('reconnects after Meld drops the connection', async () => {
+  await connect()
+
+  sim.dropClients()
+  await waitFor(() => instance.status.status !== 'ok', 'disconnect noticed')
+  // the fast retry from testConfig is in effect, not the 1s default
+  assert.match(instance.status.message, /retrying in 0\.1s, attempt \d+/)
+
+  await waitFor(() => instance.status.status === 'ok', 'reconnected')
+  assert.equal(sim.clients.size, 1)
+})
+
+test('a frozen Meld is detected by the heartbeat', async () => {
+  await connect({ heartbeat: 0.1 })
+
+  sim.freeze()
+  await waitFor(() => instance.status.status === 'connection_failure', 'heartbeat failure')
+  assert.match(instance.status.message, /No heartbeat reply/)
+})
+
+test('a channel without a meld object is dropped and retried', async () => {
+  sim.publishAs = 'other'
+  await instance.init(testConfig(sim.port))
+
+  await waitFor(() => instance.status.status === 'connection_failure', 'handshake failure')
+  assert.match(instance.status.message, /did not publish a "meld" object; retrying in 0\.1s/)
+  await waitFor(() => instance.status.status === 'connecting', 'retry')
+
+  sim.publishAs = 'meld'
+  await waitFor(() => instance.status.status === 'ok', 'connected once meld is published')
+})
+
+test('a Meld that never answers the WebSocket upgrade is retried with backoff', async () => {
+  sim.stallHandshakes()
+  await instance.init(testConfig(sim.port, { heartbeat: 0.1 }))
+
+  await waitFor(() => instance.status.status === 'connection_failure', 'handshake timeout')
+  assert.match(instance.status.message, /handshake has timed out; retrying in 0\.1s, attempt 2/)
+  await waitFor(() => sim.stalled.size >= 2, 'second attempt')
+})
+
+test('configUpdated moves the connection to the new host/port', async () => {
+  await connect()
+
+  const other = new MeldSimulator()
+  try {
+    await other.listen(0)
+    await instance.configUpdated(testConfig(other.port))
+    await waitFor(() => other.clients.size === 1 && instance.status.status === 'ok', 'connected to new port')
+    await waitFor(() => sim.clients.size === 0, 'old connection closed')
+    assert.equal(instance.captured.values.meld_host, `127.0.0.1:${other.port}`)
+  } finally {
+    await instance.destroy()
+    await other.close()
+  }
+})
+
+test('calls fail loudly when Meld is not connected', async () => {
+  await connect()
+  await sim.close()
+  await waitFor(() => instance.qweb === null, 'disconnect')
+
+  await assert.rejects(instance.runAction('toggle_stream'), /Not connected/)
+})
+
+test('next/previous follow scene order and wrap only when asked', async () => {
+  await connect()
+
+  await instance.runAction('previous_scene', { wrap: false })
+  assert.equal(sim.calls.filter(([m]) => m === 'showScene').length, 0)
+
+  await instance.runAction('previous_scene', { wrap: true })
+  assert.deepEqual(sim.calls.at(-1), ['showScene', 'scene2'])
+  await waitFor(() => instance.currentSceneId === 'scene2', 'wrapped to last scene')
+
+  await instance.runAction('next_scene', { wrap: true })
+  assert.deepEqual(sim.calls.at(-1), ['showScene', 'scene1'])
+})
+
+test('reordering scenes in Meld updates next/previous', async () => {
+  sim.addItem('scene3', { type: 'scene', name: 'Outro', index: 2, current: false })
+  // integer-like ids would jump to the front of a plain object's keys
+  sim.addItem('10', { type: 'scene', name: 'Credits', index: 3, current: false })
+  await instance.init(testConfig(sim.port))
+  await waitFor(() => instance.captured.values.scene_count === 4, 'scene discovery')
+  assert.deepEqual(instance.sceneOrder, ['scene1', 'scene2', 'scene3', '10'])
+  assert.equal(instance.captured.values.preceding_scene_name, 'Credits')
+
+  // move Outro ahead of Main
+  sim.updateItem('scene3', { index: 1 })
+  sim.updateItem('scene2', { index: 2 })
+  await waitFor(() => instance.captured.values.next_scene_name === 'Outro', 'new order picked up')
+  assert.deepEqual(instance.sceneOrder, ['scene1', 'scene3', 'scene2', '10'])
+})
+
+test('go_back walks the scene history', async () => {
+  sim.addItem('scene3', { type: 'scene', name: 'Outro', index: 2, current: false })
+  await instance.init(testConfig(sim.port))
+  await waitFor(() => instance.captured.values.scene_count === 3, 'scene discovery')
+
+  for (const id of ['scene2', 'scene3']) {
+    await instance.runAction('show_scene', { scene: id })
+    await waitFor(() => instance.currentSceneId === id, `live ${id}`)
+  }
+
+  // a failed switch keeps the history entry
+  sim.dropClients()
+  await waitFor(() => instance.status.status !== 'ok', 'disconnect noticed')
+  await assert.rejects(instance.runAction('go_back'), /Not connected/)
+  assert.deepEqual(instance.sceneHistory, ['scene1', 'scene2'])
+  assert.equal(instance.returningToSceneId, null)
+  await waitFor(() => instance.status.status === 'ok', 'reconnected')
+
+  await instance.runAction('go_back')
+  await waitFor(() => instance.currentSceneId === 'scene2', 'back to scene2')
+  await instance.runAction('go_back')
+  await waitFor(() => instance.currentSceneId === 'scene1', 'back to scene1')
+  assert.deepEqual(instance.sceneHistory, [])
+})
+
+test('preview stages a scene and take sends it live', async () => {
+  await connect()
+
+  await instance.runAction('preview_scene', { scene: 'scene2' })
+  assert.equal(instance.feedback('scene_preview', { scene: 'scene2' }), true)
+  assert.equal(instance.captured.values.preview_scene_name, 'Main')
+  assert.equal(sim.calls.length, 0)
+
+  await instance.runAction('take', { after: 'swap' })
+  await waitFor(() => instance.currentSceneId === 'scene2', 'take')
+  assert.equal(instance.previewSceneId, 'scene1')
+
+  instance.previewSceneId = null
+  await assert.rejects(instance.runAction('take', { after: 'clear' }), /No scene is in preview/)
+})
+
+test('playlists step through scenes and pause on a manual change', async () => {
+  await connect({ playlist_1: 'Loop: Main=0.1, Intro=0.1', playlist_pause_on_manual: true })
+
+  await instance.runAction('playlist_start', { playlist: 'Loop', loop: true })
+  assert.equal(instance.feedback('playlist_running', { playlist: '' }), true)
+  await waitFor(() => instance.currentSceneId === 'scene2', 'first step')
+  await waitFor(() => instance.currentSceneId === 'scene1', 'second step')
+  await waitFor(() => instance.currentSceneId === 'scene2', 'looped')
+  assert.equal(instance.captured.values.playlist_name, 'Loop')
+
+  // A switch made in Meld, not by the playlist
+  sim.showScene('scene1')
+  await waitFor(() => instance.sequencer.state === 'paused', 'auto pause')
+  assert.equal(instance.feedback('playlist_running', { playlist: 'Loop' }), false)
+  assert.equal(instance.captured.values.playlist_state, 'paused')
+
+  await instance.runAction('playlist_stop')
+  assert.equal(instance.captured.values.playlist_state, 'stopped')
+})
+
+test('editing a running playlist to fewer steps keeps it going', async () => {
+  await connect({ playlist_1: 'Loop: Main=0.2, Intro=0.2', playlist_pause_on_manual: false })
+
+  await instance.runAction('playlist_start', { playlist: 'Loop', loop: true })
+  await waitFor(() => instance.sequencer.stepIndex === 1, 'second step')
+
+  await instance.configUpdated(testConfig(sim.port, { playlist_1: 'Loop: Main=0.2', playlist_pause_on_manual: false }))
+  assert.equal(instance.captured.values.playlist_step, '1/1')
+  assert.equal(instance.captured.values.playlist_step_scene, 'Main')
+
+  // the next tick and step run against the shorter definition
+  await waitFor(() => instance.currentSceneId === 'scene2', 'looped on the new definition')
+  assert.equal(instance.sequencer.state, 'running')
+})
+
+test('a playlist without loop stops after its last step', async () => {
+  await connect({ playlist_1: 'Once: Main=0.05' })
+
+  await instance.runAction('playlist_start', { playlist: 'Once', loop: false })
+  await waitFor(() => instance.sequencer.state === 'stopped', 'playlist finished')
+  assert.deepEqual(
+    sim.calls.filter(([m]) => m === 'showScene'),
+    [['showScene', 'scene2']]
+  )
+})
+
+test('effects can be toggled and their numeric parameters set', async () => {
+  await connect()
+
+  assert.deepEqual(
+    instance.captured.actions.toggle_effect.options[0].choices.map((c) => c.label),
+    ['Main / Camera / Blur', 'Mic / Noise Gate']
+  )
+  assert.deepEqual(
+    instance.captured.actions.set_effect_param.options[0].choices.map((c) => c.id),
+    ['effect1::radius', 'effect2::threshold']
+  )
+  assert.equal(instance.captured.values.effect_camera_blur_radius, 4)
+
+  await instance.runAction('enable_effect', { effect: 'effect1' })
+  await waitFor(() => instance.feedback('effect_enabled', { effect: 'effect1' }), 'effect enabled')
+  assert.deepEqual(sim.calls.at(-1), ['toggleEffect', 'scene2', 'layer3', 'effect1'])
+
+  await Promise.all([
+    instance.runAction('disable_effect', { effect: 'effect2' }),
+    instance.runAction('disable_effect', { effect: 'effect2' }),
+  ])
+  await waitFor(() => !instance.feedback('effect_enabled', { effect: 'effect2' }), 'effect disabled')
+  assert.deepEqual(sim.calls.at(-1), ['toggleEffect', '', 'track1', 'effect2'])
+  assert.equal(sim.calls.filter(([m, , , id]) => m === 'toggleEffect' && id === 'effect2').length, 1)
+  await assert.rejects(instance.runAction('toggle_effect', { effect: 'gone' }), /Effect "gone" not found/)
+
+  await instance.runAction('nudge_effect_param', { param: 'effect1::radius', step: 1.5 })
+  assert.equal(instance.captured.values.effect_camera_blur_radius, 5.5)
+  await waitFor(() => sim.items.effect1.parameters.radius === 5.5, 'parameter applied')
+
+  // stale buttons: a parameter the effect no longer has, or an effect that is gone
+  await assert.rejects(
+    instance.runAction('set_effect_param', { param: 'effect1::gone', value: 1 }),
+    /Effect parameter "effect1::gone" not found/
+  )
+  await assert.rejects(instance.runAction('nudge_effect_param', { param: 'effect9::radius', step: 1 }), /not found/)
+  assert.equal(sim.calls.filter(([m, , name]) => m === 'setEffectParameter' && name === 'gone').length, 0)
+  assert.equal(Object.hasOwn(instance.effects.effect1.params, 'gone'), false)
+
+  const categories = instance.captured.presets.map((p) => p.category)
+  assert.ok(categories.includes('Effects: Main / Camera') && categories.includes('Effects: Mic'))
+})
+
+test('capture actions go through sendCommand and flash on success', async () => {
+  await connect()
+
+  await instance.runAction('take_screenshot')
+  assert.deepEqual(sim.calls.at(-1), ['sendCommand', 'meld.screenshot'])
+  assert.equal(instance.feedback('capture_flash', { kind: 'screenshot' }), true)
+  assert.match(instance.captured.values.last_screenshot_time, /^\d\d:\d\d:\d\d$/)
+
+  await assert.rejects(instance.runAction('add_marker'), /not recording/)
+  assert.ok(instance.captured.logs.some((l) => l.level === 'error' && l.message.startsWith('Marker failed')))
+
+  await instance.runAction('start_record')
+  await waitFor(() => instance.isRecording, 'recording')
+  await instance.runAction('add_marker')
+  assert.deepEqual(sim.calls.at(-1), ['sendCommand', 'meld.recordMarker'])
+  assert.equal(instance.captured.values.last_marker_record_time, '00:00:00')
+
+  await waitFor(() => !instance.feedback('capture_flash', { kind: 'screenshot' }), 'flash over')
+})
+
+test('preset generation filters, groups and styles scenes from the config', async () => {
+  sim.addItem('scene3', { type: 'scene', name: 'Cam/Wide', index: 2, current: false })
+  sim.addItem('scene4', { type: 'scene', name: '_Test', index: 3, current: false })
+  sim.addItem('layer4', { type: 'layer', name: 'Hidden Cam', parent: 'scene4', index: 0, visible: true })
+  sim.addItem('layer5', { type: 'layer', name: 'Orphan', parent: 'sceneX', index: 0, visible: true })
+  await instance.init(
+    testConfig(sim.port, {
+      preset_exclude: '^_',
+      preset_grouping: 'separator',
+      clean_scene_names: false,
+      preset_active_bgcolor: 0x00ff00,
+    })
+  )
+  await waitFor(() => instance.captured.values.scene_count === 4, 'scene discovery')
+
+  const scenePresets = instance.captured.presets.filter((p) => p.name.startsWith('Scene: '))
+  assert.deepEqual(
+    scenePresets.map((p) => [p.category, p.style.text]),
+    [
+      ['Scenes', 'Intro'],
+      ['Scenes', 'Main (Cam)'],
+      ['Scenes: Cam', 'Wide'],
+    ]
+  )
+  assert.equal(scenePresets[0].feedbacks[0].style.bgcolor, 0x00ff00)
+  // layers of a filtered-out scene are skipped, layers of an unknown scene are not
+  const layerPresets = instance.captured.presets.filter((p) => p.name.startsWith('Toggle Layer: '))
+  assert.ok(!layerPresets.some((p) => p.name === 'Toggle Layer: Hidden Cam'))
+  assert.ok(layerPresets.some((p) => p.name === 'Toggle Layer: Orphan' && p.category === 'Layers: sceneX'))
+  assert.equal(instance.captured.values.next_scene_name, 'Main (Cam)')
+  assert.equal(instance.captured.values.preceding_scene_name, '_Test')
+
+  // preset and name settings apply without dropping the connection
+  const statuses = instance.captured.statuses.length
+  await instance.configUpdated({ ...testConfig(sim.port), preset_include: '[', clean_scene_names: true })
+  assert.equal(instance.scenes.scene2.name, 'Main')
+  assert.equal(instance.captured.statuses.length, statuses)
+  assert.equal(sim.clients.size, 1)
+  assert.ok(instance.captured.logs.some((l) => l.message.startsWith('Preset include filter ignored')))
+  assert.equal(instance.captured.presets.filter((p) => p.name.startsWith('Scene: ')).length, 4)
+})
@@ -0,0 +1,271 @@
+// Stand-in for Meld Studio: a Qt WebChannel server over `ws` publishing a fake `meld` object.
+// Used by the test suite; can also be run on its own to point Companion at:
+//
+//   node test/meld-simulator.js [port]
+
+import { pathToFileURL } from 'url'
+import { WebSocketServer } from 'ws'
+
+const MessageType = {
+  signal: 1,
+  propertyUpdate: 2,
+  init: 3,
+  idle: 4,
+  invokeMethod: 6,
+  connectToSignal: 7,
+  disconnectFromSignal: 8,
+  setProperty: 9,
+  response: 10,
+}
+
+/** A small show: two scenes with layers, two audio tracks, effects on a layer and a track */
+export function defaultSession() {
+  return {
+    items: {
+      scene1: { type: 'scene', name: 'Intro', index: 0, current: true },
+      scene2: { type: 'scene', name: 'Main (Cam)', index: 1, current: false },
+      layer1: { type: 'layer', name: 'Logo', parent: 'scene1', index: 0, visible: true },
+      layer2: { type: 'layer', name: 'Lower Third', parent: 'scene2', index: 0, visible: false },
+      layer3: { type: 'layer', name: 'Camera', parent: 'scene2', index: 1, visible: true },
+      track1: { type: 'track', name: 'Mic', index: 0, muted: false, monitoring: false, gain: 1 },
+      track2: { type: 'track', name: 'Music', index: 1, muted: true, monitoring: false, gain: 0.5 },
+      effect1: { type: 'effect', name: 'Blur', parent: 'layer3', enabled: false, parameters: { radius: 4, mode: 'gaussian' } },
+      effect2: { type: 'effect', name: 'Noise Gate', parent: 'track1', enabled: true, parameters: { threshold: -40 } },
+    },
+  }
+}
+
+export class MeldSimulator {
+  constructor({ session = defaultSession(), isStreaming = false, isRecording = false } = {}) {
+    this.wss = null
+    this.clients = new Set()
+    this.calls = [] // [method, ...args] for every invoked method
+    this.frozen = false
+    this.publishAs = 'meld' // name the object is published under; change it to mimic another app
+    this.stalled = null // sockets left waiting in the upgrade while stallHandshakes() is on
+
+    this.properties = [
+      { name: 'session', value: session },
+      { name: 'isStreaming', value: isStreaming },
+      { name: 'isRecording', value: isRecording },
+    ]
+    this.signals = ['sceneChanged']
+    this.methods = {
+      showScene: (id) => this.showScene(id),
+      toggleLayer: (_sceneId, layerId) => this.updateItem(layerId, { visible: !this.items[layerId]?.visible }),
+      toggleMute: (id) => this.updateItem(id, { muted: !this.items[id]?.muted }),
+      toggleMonitor: (id) => this.updateItem(id, { monitoring: !this.items[id]?.monitoring }),
+      setGain: (id, gain) => this.updateItem(id, { gain: Number(gain) }),
+      toggleEffect: (_sceneId, _parentId, effectId) =>
+        this.updateItem(effectId, { enabled: !this.items[effectId]?.enabled }),
+      setEffectParameter: (effectId, name, value) =>
+        this.updateItem(effectId, { parameters: { ...this.items[effectId]?.parameters, [name]: value } }),
+      toggleStream: () => this.setProperty('isStreaming', !this.get('isStreaming')),
+      toggleRecord: () => this.setProperty('isRecording', !this.get('isRecording')),
+      sendCommand: (command) => {
+        if (!['meld.screenshot', 'meld.recordClip', 'meld.recordMarker'].includes(command)) {
+          throw new Error(`Unknown command ${command}`)
+        }
+      },
+    }
+  }
+
+  /** Start listening; resolves with the bound port (pass 0 for an ephemeral one) */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      // Pings are answered by hand so freeze() can simulate a hung Meld
+      this.wss = new WebSocketServer({
+        host: '127.0.0.1',
+        port,
+        autoPong: false,
+        verifyClient: (info, accept) => {
+          if (this.stalled) this.stalled.add(info.req.socket)
+          else accept(true)
+        },
+      })
+      this.wss.once('error', reject)
+      this.wss.once('listening', () => resolve(this.wss.address().port))
+      this.wss.on('connection', (ws) => this.#accept(ws))
+    })
+  }
+
+  async close() {
+    this.dropClients()
+    for (const socket of this.stalled ?? []) socket.destroy()
+    if (!this.wss) return
+    await new Promise((resolve) => this.wss.close(() => resolve()))
+    this.wss = null
+  }
+
+  /** Cut every connection, as if Meld quit */
+  dropClients() {
+    for (const client of this.clients) client.ws.terminate()
+    this.clients.clear()
+  }
+
+  /** Stop answering anything, pings included, while keeping sockets open */
+  freeze() {
+    this.frozen = true
+  }
+
+  /** Accept TCP connections but never answer the WebSocket upgrade, as a hung Meld would */
+  stallHandshakes() {
+    this.stalled = new Set()
+  }
+
+  get port() {
+    return this.wss?.address().port
+  }
+
+  get items() {
+    return this.get('session').items
+  }
+
+  get(name) {
+    return this.properties.find((p) => p.name === name)?.value
+  }
+
+  // Index layout sent to clients: methods, then signals, then one notify signal per property
+  #signalIndex(name) {
+    return Object.keys(this.methods).length + this.signals.indexOf(name)
+  }
+
+  #notifyIndex(propertyIndex) {
+    return Object.keys(this.methods).length + this.signals.length + propertyIndex
+  }
+
+  #metadata() {
+    return {
+      [this.publishAs]: {
+        methods: Object.keys(this.methods).map((name, i) => [name, i]),
+        signals: this.signals.map((name) => [name, this.#signalIndex(name)]),
+        properties: this.properties.map((p, i) => [i, p.name, [1, this.#notifyIndex(i)], p.value]),
+        enums: {},
+      },
+    }
+  }
+
+  setProperty(name, value) {
+    const index = this.properties.findIndex((p) => p.name === name)
+    if (index === -1) throw new Error(`Unknown property ${name}`)
+    this.properties[index].value = value
+    for (const client of this.clients) {
+      client.dirty.add(index)
+      this.#flush(client)
+    }
+  }
+
+  /** Replace the session, e.g. after editing items; pushes a sessionChanged update */
+  setSession(session) {
+    this.setProperty('session', session)
+  }
+
+  updateItem(id, changes) {
+    const items = { ...this.items }
+    if (!items[id]) throw new Error(`Unknown item ${id}`)
+    items[id] = { ...items[id], ...changes }
+    this.setSession({ ...this.get('session'), items })
+  }
+
+  addItem(id, item) {
+    this.setSession({ ...this.get('session'), items: { ...this.items, [id]: item } })
+  }
+
+  removeItem(id) {
+    const items = { ...this.items }
+    delete items[id]
+    this.setSession({ ...this.get('session'), items })
+  }
+
+  showScene(id) {
+    if (this.items[id]?.type !== 'scene') throw new Error(`Unknown scene ${id}`)
+    const items = {}
+    for (const [itemId, item] of Object.entries(this.items)) {
+      items[itemId] = item.type === 'scene' ? { ...item, current: itemId === id } : item
+    }
+    this.setSession({ ...this.get('session'), items })
+    this.emitSignal('sceneChanged', id)
+  }
+
+  emitSignal(name, ...args) {
+    const signal = this.#signalIndex(name)
+    for (const client of this.clients) {
+      if (client.subscriptions.has(signal)) this.#send(client, { type: MessageType.signal, object: 'meld', signal, args })
+    }
+  }
+
+  #accept(ws) {
+    const client = { ws, idle: false, dirty: new Set(), subscriptions: new Set() }
+    this.clients.add(client)
+    ws.on('close', () => this.clients.delete(client))
+    ws.on('ping', (data) => {
+      if (!this.frozen) ws.pong(data)
+    })
+    ws.on('message', (data) => {
+      if (this.frozen) return
+      this.#handle(client, JSON.parse(String(data)))
+    })
+  }
+
+  #send(client, message) {
+    if (this.frozen) return
+    client.ws.send(JSON.stringify(message))
+  }
+
+  /** Property updates go out only while the client is idle, as in Qt */
+  #flush(client) {
+    if (!client.idle || client.dirty.size === 0) return
+    const properties = {}
+    const signals = {}
+    for (const index of client.dirty) {
+      properties[index] = this.properties[index].value
+      signals[this.#notifyIndex(index)] = []
+    }
+    client.dirty.clear()
+    client.idle = false
+    this.#send(client, { type: MessageType.propertyUpdate, data: [{ object: 'meld', properties, signals }] })
+  }
+
+  #handle(client, message) {
+    switch (message.type) {
+      case MessageType.init:
+        this.#send(client, { type: MessageType.response, id: message.id, data: this.#metadata() })
+        break
+      case MessageType.idle:
+        client.idle = true
+        this.#flush(client)
+        break
+      case MessageType.connectToSignal:
+        client.subscriptions.add(message.signal)
+        break
+      case MessageType.disconnectFromSignal:
+        client.subscriptions.delete(message.signal)
+        break
+      case MessageType.setProperty: {
+        const property = this.properties[message.property]
+        if (property) this.setProperty(property.name, message.value)
+        break
+      }
+      case MessageType.invokeMethod: {
+        const name = Object.keys(this.methods)[message.method]
+        let data = null
+        if (name) {
+          this.calls.push([name, ...(message.args || [])])
+          try {
+            data = this.methods[name](...(message.args || [])) ?? null
+          } catch {
+            data = null
+          }
+        }
+        this.#send(client, { type: MessageType.response, id: message.id, data })
+        break
+      }
+    }
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const sim = new MeldSimulator()
+  const port = await sim.listen(Number(process.argv[2]) || 13376)
+  console.log(`Meld simulator listening on ws://127.0.0.1:${port}`)
+}
@@ -0,0 +1,21 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parsePlaylist } from '../sequencer.js'
+
+test('parses a playlist line', () => {
+  assert.deepEqual(parsePlaylist(' Preshow: Intro=10, Main (Cam)=2.5 ,'), {
+    name: 'Preshow',
+    steps: [
+      { scene: 'Intro', seconds: 10 },
+      { scene: 'Main (Cam)', seconds: 2.5 },
+    ],
+  })
+  assert.equal(parsePlaylist('   '), null)
+})
+
+test('rejects malformed playlist lines', () => {
+  assert.throws(() => parsePlaylist('Intro=10'), /needs a name/)
+  assert.throws(() => parsePlaylist('Loop: Intro'), /Scene=seconds/)
+  assert.throws(() => parsePlaylist('Loop: Intro=0'), /Scene=seconds/)
+  assert.throws(() => parsePlaylist('Loop:'), /no steps/)
+})
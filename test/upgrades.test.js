@@ -0,0 +1,23 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { UpgradeScripts } from '../upgrades.js'
+
+test('converts per-scene actions and scene_active feedbacks', () => {
+  const result = UpgradeScripts[0](
+    {},
+    {
+      config: null,
+      actions: [
+        { id: 'a', controlId: 'c', actionId: 'show_scene_abc123', options: {} },
+        { id: 'b', controlId: 'c', actionId: 'toggle_stream', options: {} },
+      ],
+      feedbacks: [{ id: 'f', controlId: 'c', feedbackId: 'scene_active', options: { scene: 'abc123' } }],
+    }
+  )
+
+  assert.deepEqual(
+    result.updatedActions.map((a) => [a.id, a.actionId, a.options]),
+    [['a', 'show_scene', { scene: 'abc123', scene_name: '' }]]
+  )
+  assert.deepEqual(result.updatedFeedbacks[0].options, { scene: 'abc123', scene_name: '' })
+})
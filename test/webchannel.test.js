@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import WebSocket from 'ws'
+import { MeldSimulator } from './meld-simulator.js'
+import {
+  WebChannelClient,
+  WebChannelClosedError,
+  WebChannelLookupError,
+  WebChannelTimeoutError,
+  describeRemoteObject,
+} from '../webchannel.js'
+
+async function open(sim, options) {
+  const ws = new WebSocket(`ws://127.0.0.1:${sim.port}`)
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve)
+    ws.once('error', reject)
+  })
+  const channel = new WebChannelClient(ws, options)
+  await channel.ready
+  return { ws, channel }
+}
+
+test('exposes methods, properties and signals from the handshake', async () => {
+  const sim = new MeldSimulator()
+  await sim.listen(0)
+  const { ws, channel } = await open(sim)
+  try {
+    const meld = channel.objects.meld
+    const api = describeRemoteObject(meld)
+    assert.ok(api.methods.includes('showScene'))
+    assert.deepEqual(api.properties, ['session', 'isStreaming', 'isRecording'])
+    assert.ok(api.signals.includes('sceneChanged') && api.signals.includes('sessionChanged'))
+
+    const seen = []
+    meld.sceneChanged.connect((id) => seen.push(id))
+    const sessionUpdated = new Promise((resolve) => meld.sessionChanged.connect(resolve))
+    await meld.showScene('scene2')
+    await sessionUpdated
+    assert.deepEqual(seen, ['scene2'])
+    assert.equal(meld.session.items.scene2.current, true)
+  } finally {
+    ws.close()
+    await sim.close()
+  }
+})
+
+test('unwraps nested and newly announced QObjects', async () => {
+  const sim = new MeldSimulator()
+  sim.methods.getOutputs = () => ({
+    main: {
+      '__QObject*__': true,
+      id: 'output1',
+      data: { methods: [['start', 0]], properties: [[0, 'name', 0, 'Main']] },
+    },
+    owner: [{ '__QObject*__': true, id: 'meld' }],
+    lost: { '__QObject*__': true, id: 'output2' },
+  })
+  await sim.listen(0)
+  const errors = []
+  const { ws, channel } = await open(sim, { onHandlerError: (err) => errors.push(err.message) })
+  try {
+    const outputs = await channel.objects.meld.getOutputs()
+    assert.deepEqual(describeRemoteObject(outputs.main), { methods: ['start'], properties: ['name'], signals: [] })
+    assert.equal(outputs.main.name, 'Main')
+    assert.equal(channel.objects.output1, outputs.main)
+    assert.equal(outputs.owner[0], channel.objects.meld)
+    assert.equal(outputs.lost, null)
+    assert.match(errors[0], /unknown QObject "output2" without data/)
+  } finally {
+    ws.close()
+    await sim.close()
+  }
+})
+
+test('rejects with typed errors', async () => {
+  const sim = new MeldSimulator()
+  await sim.listen(0)
+  const { ws, channel } = await open(sim, { timeoutMs: 50 })
+  try {
+    await assert.rejects(channel.invoke('meld', 'nope'), WebChannelLookupError)
+
+    sim.freeze()
+    await assert.rejects(channel.objects.meld.toggleStream(), WebChannelTimeoutError)
+
+    const pending = channel.invoke('meld', 'toggleStream', [], { timeoutMs: 5000 })
+    ws.terminate()
+    await assert.rejects(pending, WebChannelClosedError)
+    assert.equal(channel.closed, true)
+  } finally {
+    await sim.close()
+  }
+})
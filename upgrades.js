@@ -1,13 +1,31 @@
-module.exports = [
-	/*
-	 * Place your upgrade scripts here
-	 * Remember that once it has been added it cannot be removed!
-	 */
-	// function (context, props) {
-	// 	return {
-	// 		updatedConfig: null,
-	// 		updatedActions: [],
-	// 		updatedFeedbacks: [],
-	// 	}
-	// },
+/*
+ * Upgrade scripts run once per connection, in order.
+ * Remember that once one has been added it cannot be removed!
+ */
+export const UpgradeScripts = [
+  // Per-scene `show_scene_<id>` actions became one `show_scene` action with a scene option,
+  // and scene_active gained the name fallback used by that option.
+  function (_context, props) {
+    const updatedActions = []
+    for (const action of props.actions) {
+      const match = /^show_scene_(.+)$/.exec(action.actionId)
+      if (!match) continue
+      action.actionId = 'show_scene'
+      action.options = { scene: match[1], scene_name: '' }
+      updatedActions.push(action)
+    }
+
+    const updatedFeedbacks = []
+    for (const feedback of props.feedbacks) {
+      if (feedback.feedbackId !== 'scene_active' || feedback.options.scene_name !== undefined) continue
+      feedback.options = { ...feedback.options, scene_name: '' }
+      updatedFeedbacks.push(feedback)
+    }
+
+    return {
+      updatedConfig: null,
+      updatedActions,
+      updatedFeedbacks,
+    }
+  },
 ]
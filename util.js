@@ -0,0 +1,41 @@
+// Small pure helpers shared by main.js and the variable module
+
+// Gain range offered to users; anything at or below the floor is sent as silence
+export const MIN_GAIN_DB = -60
+export const MAX_GAIN_DB = 12
+
+export function gainToDb(gain) {
+  const g = Number(gain)
+  if (!(g > 0)) return -Infinity
+  return 20 * Math.log10(g)
+}
+
+export function dbToGain(db) {
+  if (db <= MIN_GAIN_DB) return 0
+  return Math.pow(10, Math.min(db, MAX_GAIN_DB) / 20)
+}
+
+export function formatDb(db) {
+  return Number.isFinite(db) ? db.toFixed(1) : '-inf'
+}
+
+/** Turn a display name into something usable as a Companion variable id */
+export function variableSlug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'unnamed'
+}
+
+/** variableSlug(), suffixed with _2, _3… until it is not in `used` (which it is then added to) */
+export function uniqueSlug(name, used) {
+  const base = variableSlug(name)
+  let slug = base
+  for (let n = 2; used.has(slug); n++) slug = `${base}_${n}`
+  used.add(slug)
+  return slug
+}
+
+/** Elapsed milliseconds as HH:MM:SS */
+export function formatDuration(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000))
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`
+}
@@ -1,7 +1,123 @@
-module.exports = function (self) {
-	self.setVariableDefinitions([
-		{ variableId: 'variable1', name: 'My first variable' },
-		{ variableId: 'variable2', name: 'My second variable' },
-		{ variableId: 'variable3', name: 'Another variable' },
-	])
+import { formatDb, formatDuration, gainToDb, variableSlug } from './util.js'
+
+/** Variable id for one numeric effect parameter */
+export function effectVariableId(effect, param) {
+  return `effect_${effect.slug}_${variableSlug(param)}`
+}
+
+/** Register every variable for the current session model, then publish their values */
+export function UpdateVariableDefinitions(self) {
+  const defs = [
+    { variableId: 'connection_state', name: 'Connection state' },
+    { variableId: 'meld_host', name: 'Meld Studio host' },
+    { variableId: 'current_scene_id', name: 'Current scene ID' },
+    { variableId: 'current_scene_name', name: 'Current scene name' },
+    { variableId: 'previous_scene_name', name: 'Previous scene name' },
+    { variableId: 'next_scene_name', name: "Next scene in Meld's order (wrapping)" },
+    { variableId: 'preceding_scene_name', name: "Scene before the live one in Meld's order (wrapping)" },
+    { variableId: 'preview_scene_name', name: 'Scene in preview' },
+    { variableId: 'scene_count', name: 'Number of scenes' },
+    { variableId: 'stream_duration', name: 'Streaming duration (HH:MM:SS)' },
+    { variableId: 'record_duration', name: 'Recording duration (HH:MM:SS)' },
+    { variableId: 'last_screenshot_time', name: 'Time of the last screenshot' },
+    { variableId: 'last_replay_time', name: 'Time of the last saved replay clip' },
+    { variableId: 'last_marker_time', name: 'Time of the last recording marker' },
+    { variableId: 'last_marker_record_time', name: 'Recording time at the last marker (HH:MM:SS)' },
+    { variableId: 'playlist_name', name: 'Playlist: name' },
+    { variableId: 'playlist_state', name: 'Playlist: state (running, paused, stopped)' },
+    { variableId: 'playlist_step', name: 'Playlist: current step (e.g. 2/5)' },
+    { variableId: 'playlist_step_scene', name: 'Playlist: scene of the current step' },
+    { variableId: 'playlist_next_in', name: 'Playlist: seconds until the next switch' },
+  ]
+  for (const scene of self._orderedScenes()) {
+    defs.push({ variableId: `scene_live_${scene.slug}`, name: `Scene is live: ${scene.name}` })
+  }
+  for (const track of Object.values(self.tracks)) {
+    defs.push({ variableId: `gain_${track.slug}`, name: `Gain (dB): ${track.name}` })
+  }
+  for (const effect of Object.values(self.effects)) {
+    for (const param of Object.keys(effect.params)) {
+      defs.push({ variableId: effectVariableId(effect, param), name: `Effect ${effect.parentName} / ${effect.name}: ${param}` })
+    }
+  }
+  self.setVariableDefinitions(defs)
+
+  UpdateConnectionVariables(self)
+  UpdateSceneVariables(self)
+  UpdateTrackVariables(self)
+  UpdateEffectVariables(self)
+  UpdateOutputVariables(self)
+  UpdateCaptureVariables(self)
+  UpdatePlaylistVariables(self)
+}
+
+export function UpdateConnectionVariables(self) {
+  self.setVariableValues({
+    connection_state: self.connectionState,
+    meld_host: `${self.config.host}:${self.config.port}`,
+  })
+}
+
+export function UpdateSceneVariables(self) {
+  const values = {
+    current_scene_id: self.currentSceneId ?? '',
+    current_scene_name: self.scenes[self.currentSceneId]?.name ?? '',
+    previous_scene_name: self.scenes[self.previousSceneId]?.name ?? '',
+    next_scene_name: self._adjacentScene(1, true)?.name ?? '',
+    preceding_scene_name: self._adjacentScene(-1, true)?.name ?? '',
+    preview_scene_name: self.scenes[self.previewSceneId]?.name ?? '',
+    scene_count: Object.keys(self.scenes).length,
+  }
+  for (const scene of Object.values(self.scenes)) {
+    values[`scene_live_${scene.slug}`] = scene.id === self.currentSceneId
+  }
+  self.setVariableValues(values)
+}
+
+export function UpdateTrackVariables(self) {
+  const values = {}
+  for (const track of Object.values(self.tracks)) {
+    values[`gain_${track.slug}`] = formatDb(gainToDb(track.gain))
+  }
+  self.setVariableValues(values)
+}
+
+export function UpdateEffectVariables(self) {
+  const values = {}
+  for (const effect of Object.values(self.effects)) {
+    for (const [param, value] of Object.entries(effect.params)) {
+      values[effectVariableId(effect, param)] = Math.round(value * 1000) / 1000
+    }
+  }
+  self.setVariableValues(values)
+}
+
+export function UpdateOutputVariables(self) {
+  const now = Date.now()
+  self.setVariableValues({
+    stream_duration: self.streamStartedAt ? formatDuration(now - self.streamStartedAt) : '00:00:00',
+    record_duration: self.recordStartedAt ? formatDuration(now - self.recordStartedAt) : '00:00:00',
+  })
+}
+
+export function UpdateCaptureVariables(self) {
+  const time = (kind) => self.lastCapture[kind]?.at.toLocaleTimeString('en-GB', { hour12: false }) ?? ''
+  self.setVariableValues({
+    last_screenshot_time: time('screenshot'),
+    last_replay_time: time('replay'),
+    last_marker_time: time('marker'),
+    last_marker_record_time: self.lastCapture.marker?.recordOffset ?? '',
+  })
+}
+
+export function UpdatePlaylistVariables(self) {
+  const seq = self.sequencer
+  const active = seq.state !== 'stopped'
+  self.setVariableValues({
+    playlist_name: active ? seq.playlist.name : '',
+    playlist_state: seq.state,
+    playlist_step: active ? `${seq.stepIndex + 1}/${seq.playlist.steps.length}` : '',
+    playlist_step_scene: seq.currentStep?.scene ?? '',
+    playlist_next_in: active ? Math.ceil(seq.remaining / 1000) : '',
+  })
 }
@@ -0,0 +1,364 @@
+// Promise-based Qt WebChannel client, speaking the same protocol as Qt's qwebchannel.js
+// over a `ws` WebSocket. Loaded once as a normal ES module instead of being evaluated per connection.
+
+const MessageType = {
+  signal: 1,
+  propertyUpdate: 2,
+  init: 3,
+  idle: 4,
+  debug: 5,
+  invokeMethod: 6,
+  connectToSignal: 7,
+  disconnectFromSignal: 8,
+  setProperty: 9,
+  response: 10,
+}
+
+export class WebChannelError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'WebChannelError'
+  }
+}
+
+/** Meld did not answer a call within the allotted time */
+export class WebChannelTimeoutError extends WebChannelError {
+  constructor(message) {
+    super(message)
+    this.name = 'WebChannelTimeoutError'
+  }
+}
+
+/** The transport closed before (or while) the call was made */
+export class WebChannelClosedError extends WebChannelError {
+  constructor(message = 'WebChannel transport closed') {
+    super(message)
+    this.name = 'WebChannelClosedError'
+  }
+}
+
+/** The remote object has no such method, property or signal */
+export class WebChannelLookupError extends WebChannelError {
+  constructor(message) {
+    super(message)
+    this.name = 'WebChannelLookupError'
+  }
+}
+
+/**
+ * A remote signal. connect()/disconnect() mirror qwebchannel.js; the first handler subscribes on
+ * the server and the last one unsubscribes. Property notify signals need no subscription, Qt
+ * pushes them with every property update.
+ */
+class RemoteSignal {
+  #object
+  #index
+  #isNotify
+  #handlers = []
+
+  constructor(object, name, index, isNotify) {
+    this.#object = object
+    this.#index = index
+    this.#isNotify = isNotify
+    this.name = name
+  }
+
+  connect(handler) {
+    if (typeof handler !== 'function') throw new TypeError(`${this.name}.connect() needs a function`)
+    this.#handlers.push(handler)
+    if (this.#handlers.length === 1 && !this.#isNotify) {
+      this.#object._send({ type: MessageType.connectToSignal, signal: this.#index })
+    }
+  }
+
+  disconnect(handler) {
+    const i = this.#handlers.indexOf(handler)
+    if (i === -1) return
+    this.#handlers.splice(i, 1)
+    if (this.#handlers.length === 0 && !this.#isNotify) {
+      this.#object._send({ type: MessageType.disconnectFromSignal, signal: this.#index })
+    }
+  }
+
+  /** Drop every handler locally; used when the transport is gone */
+  clear() {
+    this.#handlers = []
+  }
+
+  _emit(args) {
+    for (const handler of this.#handlers.slice()) {
+      try {
+        handler(...args)
+      } catch (err) {
+        this.#object._channel.emitHandlerError(err, this.name)
+      }
+    }
+  }
+}
+
+/**
+ * Local mirror of a published QObject. Methods become async functions, properties are cached
+ * getters kept current by property updates, and signals are RemoteSignal instances.
+ */
+class RemoteObject {
+  constructor(channel, name, meta) {
+    // Non-enumerable so Object.keys() on the proxy lists only the remote API
+    Object.defineProperty(this, '_channel', { value: channel })
+    Object.defineProperty(this, '_name', { value: name })
+    Object.defineProperty(this, '_methods', { value: new Map() })
+    Object.defineProperty(this, '_properties', { value: new Map() })
+    Object.defineProperty(this, '_signals', { value: new Map() })
+    Object.defineProperty(this, '_values', { value: new Map() })
+
+    for (const [methodName, index] of meta.methods || []) {
+      this._methods.set(methodName, index)
+      if (Object.hasOwn(this, methodName)) continue // overloads share one entry point
+      Object.defineProperty(this, methodName, {
+        enumerable: true,
+        value: (...args) => channel.invoke(name, methodName, args),
+      })
+    }
+
+    for (const [signalName, index] of meta.signals || []) {
+      this._addSignal(signalName, index, false)
+    }
+
+    for (const [index, propertyName, notify, value] of meta.properties || []) {
+      this._properties.set(propertyName, index)
+      this._values.set(index, value)
+      if (notify) {
+        // Qt sends 1 in place of the name when the notify signal is the conventional <prop>Changed
+        this._addSignal(notify[0] === 1 ? `${propertyName}Changed` : notify[0], notify[1], true)
+      }
+      Object.defineProperty(this, propertyName, {
+        enumerable: true,
+        configurable: true,
+        get: () => channel.unwrap(this._values.get(index)),
+        set: (v) => {
+          channel.setProperty(name, propertyName, v).catch((err) => channel.emitHandlerError(err, propertyName))
+        },
+      })
+    }
+  }
+
+  _addSignal(signalName, index, isNotify) {
+    const existing = this._signals.get(index)
+    if (existing) return
+    const signal = new RemoteSignal(this, signalName, index, isNotify)
+    this._signals.set(index, signal)
+    if (!Object.hasOwn(this, signalName)) Object.defineProperty(this, signalName, { enumerable: true, value: signal })
+  }
+
+  _send(message) {
+    this._channel.send({ ...message, object: this._name })
+  }
+}
+
+/** Names of everything a remote object publishes, for introspection */
+export function describeRemoteObject(object) {
+  return {
+    methods: [...object._methods.keys()],
+    properties: [...object._properties.keys()],
+    signals: [...object._signals.values()].map((s) => s.name),
+  }
+}
+
+/**
+ * Qt WebChannel client bound to one WebSocket.
+ *
+ *   const channel = new WebChannelClient(ws, { timeoutMs: 5000 })
+ *   await channel.ready
+ *   await channel.objects.meld.showScene(id)
+ *
+ * Every call gets its own timeout. When the socket closes, pending calls reject with
+ * WebChannelClosedError and all signal handlers are dropped.
+ */
+export class WebChannelClient {
+  #ws
+  #nextId = 0
+  #pending = new Map() // id -> { resolve, reject, timer }
+  #onMessage
+  #onClose
+
+  constructor(ws, { timeoutMs = 5000, onHandlerError, onPropertyUpdate } = {}) {
+    this.#ws = ws
+    this.timeoutMs = timeoutMs
+    this.objects = {}
+    this.closed = false
+    this.onHandlerError = onHandlerError
+    this.onPropertyUpdate = onPropertyUpdate
+
+    this.#onMessage = (data) => this.#handleMessage(data)
+    this.#onClose = () => this.close()
+    ws.on('message', this.#onMessage)
+    ws.on('close', this.#onClose)
+
+    this.ready = this.#exec({ type: MessageType.init }).then((data) => {
+      for (const name of Object.keys(data || {})) {
+        this.objects[name] = new RemoteObject(this, name, data[name])
+      }
+      this.send({ type: MessageType.idle })
+      return this
+    })
+  }
+
+  send(message) {
+    if (this.closed) throw new WebChannelClosedError()
+    this.#ws.send(JSON.stringify(message))
+  }
+
+  /** Invoke a method on a published object; resolves with its return value */
+  invoke(objectName, methodName, args = [], { timeoutMs } = {}) {
+    const object = this.objects[objectName]
+    if (!object) return Promise.reject(new WebChannelLookupError(`No object "${objectName}" on the channel`))
+    const index = object._methods.get(methodName)
+    if (index === undefined) {
+      return Promise.reject(new WebChannelLookupError(`${objectName} has no method ${methodName}()`))
+    }
+    return this.#exec(
+      { type: MessageType.invokeMethod, object: objectName, method: index, args: args.map((a) => this.#wrap(a)) },
+      timeoutMs,
+      `${objectName}.${methodName}()`
+    ).then((result) => this.unwrap(result))
+  }
+
+  /** Write a property; the local cache is updated straight away, as qwebchannel.js does */
+  async setProperty(objectName, propertyName, value) {
+    const object = this.objects[objectName]
+    const index = object?._properties.get(propertyName)
+    if (index === undefined) throw new WebChannelLookupError(`${objectName} has no property ${propertyName}`)
+    this.send({ type: MessageType.setProperty, object: objectName, property: index, value: this.#wrap(value) })
+    object._values.set(index, value)
+    this.#notifyPropertyUpdate(objectName)
+  }
+
+  /** Reject every pending call and forget all signal handlers */
+  close() {
+    if (this.closed) return
+    this.closed = true
+    this.#ws.off('message', this.#onMessage)
+    this.#ws.off('close', this.#onClose)
+
+    for (const { reject, timer } of this.#pending.values()) {
+      clearTimeout(timer)
+      reject(new WebChannelClosedError())
+    }
+    this.#pending.clear()
+
+    for (const object of Object.values(this.objects)) {
+      for (const signal of object._signals.values()) signal.clear()
+    }
+  }
+
+  /**
+   * Replace QObject references ({"__QObject*__": true, id, data}) with proxies, at any depth, as
+   * qwebchannel.js does. An object the channel has not seen yet is built from its `data` and
+   * registered under its id until Qt reports it destroyed; one without `data` becomes null.
+   */
+  unwrap(value) {
+    if (Array.isArray(value)) return value.map((v) => this.unwrap(v))
+    if (!value || typeof value !== 'object') return value
+    if (!value['__QObject*__'] || value.id === undefined) {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, this.unwrap(v)]))
+    }
+
+    const known = this.objects[value.id]
+    if (known) return known
+    if (!value.data) {
+      const err = new WebChannelLookupError(`Cannot unwrap unknown QObject "${value.id}" without data`)
+      this.emitHandlerError(err, 'unwrap')
+      return null
+    }
+
+    const object = new RemoteObject(this, value.id, value.data)
+    this.objects[value.id] = object
+    if (object.destroyed instanceof RemoteSignal && !this.closed) {
+      object.destroyed.connect(() => {
+        if (this.objects[value.id] === object) delete this.objects[value.id]
+      })
+    }
+    return object
+  }
+
+  emitHandlerError(err, where) {
+    if (typeof this.onHandlerError === 'function') this.onHandlerError(err, where)
+  }
+
+  #notifyPropertyUpdate(objectName) {
+    if (typeof this.onPropertyUpdate !== 'function') return
+    try {
+      this.onPropertyUpdate(objectName)
+    } catch (err) {
+      this.emitHandlerError(err, 'property update')
+    }
+  }
+
+  #wrap(value) {
+    if (value instanceof RemoteObject) return { id: value._name }
+    return value
+  }
+
+  #exec(message, timeoutMs = this.timeoutMs, label = 'WebChannel request') {
+    if (this.closed) return Promise.reject(new WebChannelClosedError())
+
+    const id = this.#nextId++
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.#pending.delete(id)
+        reject(new WebChannelTimeoutError(`${label} timed out after ${timeoutMs}ms`))
+      }, timeoutMs)
+      this.#pending.set(id, { resolve, reject, timer })
+
+      try {
+        this.send({ ...message, id })
+      } catch (err) {
+        clearTimeout(timer)
+        this.#pending.delete(id)
+        reject(err)
+      }
+    })
+  }
+
+  #handleMessage(data) {
+    let message
+    try {
+      message = JSON.parse(String(data))
+    } catch (err) {
+      this.emitHandlerError(new WebChannelError(`Invalid WebChannel message: ${err.message}`), 'message')
+      return
+    }
+
+    switch (message.type) {
+      case MessageType.response: {
+        const pending = this.#pending.get(message.id)
+        if (!pending) return // late reply after a timeout
+        this.#pending.delete(message.id)
+        clearTimeout(pending.timer)
+        pending.resolve(message.data)
+        break
+      }
+      case MessageType.signal: {
+        const signal = this.objects[message.object]?._signals.get(message.signal)
+        signal?._emit((message.args || []).map((a) => this.unwrap(a)))
+        break
+      }
+      case MessageType.propertyUpdate: {
+        for (const update of message.data || []) {
+          const object = this.objects[update.object]
+          if (!object) continue
+          for (const index of Object.keys(update.properties || {})) {
+            object._values.set(Number(index), update.properties[index])
+          }
+          for (const index of Object.keys(update.signals || {})) {
+            const args = (update.signals[index] || []).map((a) => this.unwrap(a))
+            object._signals.get(Number(index))?._emit(args)
+          }
+          this.#notifyPropertyUpdate(update.object)
+        }
+        // Qt holds further property updates until the client reports it is idle
+        if (!this.closed) this.send({ type: MessageType.idle })
+        break
+      }
+    }
+  }
+}